@@ -0,0 +1,56 @@
+import { runJourney } from './lib/journey.js';
+import { getUser, describeUserPool } from './lib/users.js';
+import { constantArrivalScenario } from './lib/arrival-rate.js';
+import { loadProfile, profileThresholds, runTags } from './lib/config.js';
+
+/*
+🚦 CONSTANT ARRIVAL RATE TEST (OPEN MODEL)
+
+🎯 RATE: 5 journeys/second (override with --env RATE / TIME_UNIT)
+⏱️ DURATION: 10 minutes (override with --env DURATION)
+👥 VUS: derived from rate × iteration time (PRE_ALLOCATED_VUS / MAX_VUS to override)
+🎯 PURPOSE: Learn how the system behaves at a fixed request rate
+💰 COST: FREE (GitHub Actions) / Moderate (Local)
+
+🔧 WATCH FOR:
+   - Latency growth at a steady rate
+   - dropped_iterations > 0 means the generator ran out of VUs
+*/
+
+// Rate, journey settings and SLO from loadtest.config.json
+const PROFILE = loadProfile('arrival-constant');
+
+const ARRIVAL = constantArrivalScenario(Object.assign({}, PROFILE.arrival, {
+  thinkTime: PROFILE.journey.thinkTime,
+  p95Budget: PROFILE.slo.p95,
+}));
+
+export const options = {
+  scenarios: {
+    constant_arrival: ARRIVAL,
+  },
+  // SLO from loadtest.config.json, same budget for every journey step
+  thresholds: profileThresholds(PROFILE),
+  tags: runTags(PROFILE),
+  // Optimizations for both local and GitHub Actions
+  noConnectionReuse: true,
+  noVUConnectionReuse: true,
+  discardResponseBodies: true,
+  batch: 15,
+  batchPerHost: 8,
+};
+
+export default function() {
+  runJourney(getUser(), PROFILE.journey);
+}
+
+export function setup() {
+  console.log('🚦 Starting Constant Arrival Rate Test');
+  console.log(`🎯 Rate: ${ARRIVAL.rate} iterations per ${ARRIVAL.timeUnit} for ${ARRIVAL.duration}`);
+  console.log(`👥 VUs: ${ARRIVAL.preAllocatedVUs} pre-allocated, ${ARRIVAL.maxVUs} max`);
+  console.log(`👤 User pool: ${describeUserPool()}`);
+}
+
+export function teardown(data) {
+  console.log('✅ Constant arrival rate test completed');
+}
@@ -0,0 +1,58 @@
+import { runJourney } from './lib/journey.js';
+import { getUser, describeUserPool } from './lib/users.js';
+import { describeLoadShape } from './lib/load-shape.js';
+import { rampingArrivalScenario } from './lib/arrival-rate.js';
+import { loadProfile, profileThresholds, runTags } from './lib/config.js';
+
+/*
+🚦 RAMPING ARRIVAL RATE TEST (OPEN MODEL)
+
+🎯 RATE: 1 → 20 journeys/second (override peak with --env RATE)
+⏱️ DURATION: 20 minutes total (override with --env DURATION / RAMP_SHAPE ...)
+👥 VUS: derived from peak rate × iteration time (PRE_ALLOCATED_VUS / MAX_VUS to override)
+🎯 PURPOSE: Find the request rate where latency and errors start to climb
+💰 COST: FREE (GitHub Actions) / Moderate (Local)
+
+🔧 WATCH FOR:
+   - The rate at which p95 crosses its budget
+   - dropped_iterations > 0 means the generator ran out of VUs
+*/
+
+// Rate shape (iterations per second), journey settings and SLO from loadtest.config.json
+const PROFILE = loadProfile('arrival-ramping');
+const LOAD_PROFILE = PROFILE.load;
+
+const ARRIVAL = rampingArrivalScenario(LOAD_PROFILE, Object.assign({}, PROFILE.arrival, {
+  thinkTime: PROFILE.journey.thinkTime,
+  p95Budget: PROFILE.slo.p95,
+}));
+
+export const options = {
+  scenarios: {
+    ramping_arrival: ARRIVAL,
+  },
+  // SLO from loadtest.config.json, same budget for every journey step
+  thresholds: profileThresholds(PROFILE),
+  tags: runTags(PROFILE),
+  // Optimizations for both local and GitHub Actions
+  noConnectionReuse: true,
+  noVUConnectionReuse: true,
+  discardResponseBodies: true,
+  batch: 15,
+  batchPerHost: 8,
+};
+
+export default function() {
+  runJourney(getUser(), PROFILE.journey);
+}
+
+export function setup() {
+  console.log('🚦 Starting Ramping Arrival Rate Test');
+  console.log(`📈 Rate: ${describeLoadShape(LOAD_PROFILE)}`);
+  console.log(`👥 VUs: ${ARRIVAL.preAllocatedVUs} pre-allocated, ${ARRIVAL.maxVUs} max`);
+  console.log(`👤 User pool: ${describeUserPool()}`);
+}
+
+export function teardown(data) {
+  console.log('✅ Ramping arrival rate test completed');
+}
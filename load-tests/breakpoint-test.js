@@ -0,0 +1,52 @@
+import { runJourney } from './lib/journey.js';
+import { getUser, describeUserPool } from './lib/users.js';
+import { readEnv } from './lib/load-shape.js';
+import { loadProfile, profileThresholds, runTags } from './lib/config.js';
+
+/*
+💥 BREAKPOINT TEST
+
+👥 USERS: 0 → 5000 linear ramp (override with --env VUS)
+⏱️ DURATION: up to 1 hour (override with --env DURATION)
+🎯 PURPOSE: Keep adding users until the system breaks
+💰 COST: FREE (GitHub Actions) / High (Local)
+
+🛑 The global thresholds use abortOnFail (slo.abortOnFail in loadtest.config.json),
+   so the run stops as soon as p95 or the error rate crosses its budget. The
+   merged report records the VU level at which that happened.
+*/
+
+const PROFILE = loadProfile('breakpoint');
+
+const PEAK = parseInt(readEnv('VUS') || PROFILE.breakpoint.peak, 10);
+const RAMP = readEnv('DURATION') || PROFILE.breakpoint.ramp;
+
+export const options = {
+  stages: [
+    { duration: RAMP, target: PEAK },  // Ramp until something gives
+  ],
+  // SLO from loadtest.config.json; per-step budgets are reported but do not stop the run
+  thresholds: profileThresholds(PROFILE),
+  tags: runTags(PROFILE),
+  // Optimizations for both local and GitHub Actions
+  noConnectionReuse: true,
+  noVUConnectionReuse: true,
+  discardResponseBodies: true,
+  batch: 20,
+  batchPerHost: 10,
+  gracefulStop: '30s',
+};
+
+export default function() {
+  runJourney(getUser(), PROFILE.journey);
+}
+
+export function setup() {
+  console.log('💥 Starting Breakpoint Test');
+  console.log(`📈 Load: 0 → ${PEAK} VUs over ${RAMP}, aborting when thresholds fail`);
+  console.log(`👤 User pool: ${describeUserPool()}`);
+}
+
+export function teardown(data) {
+  console.log('✅ Breakpoint test completed');
+}
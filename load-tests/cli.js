@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { loadConfig, resolveProfile } = require('./project-config');
+
+/**
+ * 🧰 LOADTEST CLI
+ *
+ * Single entry point for the whole pipeline:
+ *   loadtest run <profile>   → k6 profile (or the local distributed orchestrator)
+ *   loadtest merge           → BulletproofResultMerger
+ *   loadtest report          → BulletproofSummarizer
+ *   loadtest pdf             → PDFGenerator
+ *
+ * Profiles, environments and SLOs come from loadtest.config.json (--config to
+ * use another file).
+ */
+
+const COMMANDS = {
+  run: {
+    usage: 'loadtest run <profile> [--target staging] [--vus N] [--duration 45m] [--env KEY=VALUE]... [--out results.json] [--instances N] [--config file]',
+    description: 'Run a k6 profile from the project config. --instances > 1 runs the distributed profile locally and post-processes it.',
+    flags: {
+      config: { type: 'string', alias: 'c' },
+      target: { type: 'string', alias: 't' },
+      vus: { type: 'number' },
+      duration: { type: 'string' },
+      env: { type: 'list', alias: 'e' },
+      out: { type: 'string', alias: 'o' },
+      instances: { type: 'number' },
+      stagger: { type: 'number' },
+      'output-dir': { type: 'string' },
+      'skip-pdf': { type: 'boolean' }
+    }
+  },
+  merge: {
+    usage: 'loadtest merge --output combined-results.json [--profile name] [--thresholds thresholds.json] [--metadata run-metadata.json] [--workers N] [--shard-mb 256] [--bucket 10] [--config file] <results.json | results.csv | summary.json | glob>...',
+    description: 'Merge one or more k6 result files: --out json or csv output, or --summary-export/handleSummary JSON (approximate), optionally gzip/brotli compressed (globs like outputs/**/*-results.json are expanded). The SLO comes from the profile the results are tagged with, or --profile; --thresholds adds k6-style thresholds ({"http_req_duration{step:login_submit}": ["p(95)<8000"]}); --metadata adds the planned values written by run --instances; --workers N parses files in N worker threads, split into --shard-mb sized pieces; --bucket sets the time-series resolution in seconds.',
+    flags: {
+      config: { type: 'string', alias: 'c' },
+      profile: { type: 'string', alias: 'p' },
+      metadata: { type: 'string', alias: 'm' },
+      thresholds: { type: 'string' },
+      workers: { type: 'number', alias: 'w' },
+      'shard-mb': { type: 'number' },
+      bucket: { type: 'number' },
+      output: { type: 'string', alias: 'o' }
+    }
+  },
+  report: {
+    usage: 'loadtest report --input combined-results.json --output load-test-summary.html [--config file]',
+    description: 'Generate the HTML summary from merged results.',
+    flags: {
+      config: { type: 'string', alias: 'c' },
+      input: { type: 'string', alias: 'i' },
+      output: { type: 'string', alias: 'o' }
+    }
+  },
+  pdf: {
+    usage: 'loadtest pdf --input summary.html --output report.pdf [--styled]\n       loadtest pdf --batch --input <html-dir> --output <pdf-dir>',
+    description: 'Convert HTML reports to PDF.',
+    flags: {
+      input: { type: 'string', alias: 'i' },
+      output: { type: 'string', alias: 'o' },
+      styled: { type: 'boolean' },
+      batch: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Usage errors exit with code 2, runtime failures with 1
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse flags for a command: --name value, --name=value, -a value, booleans and repeatable lists
+ */
+function parseArgs(argv, spec) {
+  const options = { _: [] };
+  const aliases = {};
+  for (const [name, flag] of Object.entries(spec.flags)) {
+    if (flag.alias) aliases[flag.alias] = name;
+    if (flag.type === 'list') options[name] = [];
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      options._.push(arg);
+      continue;
+    }
+
+    let [name, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    name = aliases[name] || name;
+    const flag = spec.flags[name];
+    if (!flag) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    if (flag.type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      throw new UsageError(`Option --${name} needs a value`);
+    }
+
+    if (flag.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number <= 0) {
+        throw new UsageError(`Option --${name} must be a positive number, got "${value}"`);
+      }
+      options[name] = number;
+    } else if (flag.type === 'list') {
+      options[name].push(value);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Convert a glob (*, ?, **) to a regular expression over '/'-separated paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name === '.git') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...walk(full));
+    else files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Expand file arguments: plain paths pass through, globs are matched from their static prefix
+ */
+function expandInputs(patterns) {
+  const files = [];
+
+  for (const pattern of patterns) {
+    if (!/[*?]/.test(pattern)) {
+      files.push(pattern);
+      continue;
+    }
+
+    const normalized = pattern.split(path.sep).join('/');
+    const parts = normalized.split('/');
+    const firstWild = parts.findIndex(part => /[*?]/.test(part));
+    const base = parts.slice(0, firstWild).join('/') || '.';
+    if (!fs.existsSync(base)) continue;
+
+    const regex = globToRegExp(normalized.replace(/^\.\//, ''));
+    walk(base)
+      .map(file => file.split(path.sep).join('/').replace(/^\.\//, ''))
+      .filter(file => regex.test(file))
+      .sort()
+      .forEach(file => files.push(file));
+  }
+
+  return Array.from(new Set(files));
+}
+
+function requireFile(file, label) {
+  if (!file) {
+    throw new UsageError(`Missing ${label}`);
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`${label} not found: ${file}`);
+  }
+}
+
+function spawnK6(args) {
+  const k6 = process.env.K6_BIN || 'k6';
+  console.log(`🚀 ${k6} ${args.join(' ')}`);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(k6, args, { stdio: 'inherit' });
+    child.on('error', (error) => reject(new Error(`Could not start k6 (${k6}): ${error.message}`)));
+    child.on('close', (code) => resolve(code === null ? 1 : code));
+  });
+}
+
+/**
+ * loadtest run <profile>
+ */
+async function runCommand(options) {
+  const [profile] = options._;
+  const config = loadConfig();
+  if (!profile || !config.profiles[profile]) {
+    throw new UsageError(`Unknown or missing profile "${profile || ''}". Choose one of: ${Object.keys(config.profiles).join(', ')}`);
+  }
+  if (options.target && !config.environments[options.target]) {
+    throw new UsageError(`Unknown target "${options.target}". Choose one of: ${Object.keys(config.environments).join(', ')}`);
+  }
+
+  for (const pair of options.env) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*=/.test(pair)) {
+      throw new UsageError(`--env expects KEY=VALUE, got "${pair}"`);
+    }
+  }
+
+  if (options.instances > 1) {
+    if (profile !== 'distributed') {
+      throw new UsageError('--instances is only supported for the distributed profile');
+    }
+    if (options.out) {
+      throw new UsageError('--out can\'t be combined with --instances: each instance writes its own results to --output-dir');
+    }
+    const { runDistributed } = require('./run-distributed');
+    const result = await runDistributed({
+      instances: options.instances,
+      ...(options.vus && { vus: options.vus }),
+      ...(options.duration && { duration: options.duration }),
+      ...(options.stagger && { stagger: options.stagger }),
+      ...(options['output-dir'] && { outputDir: options['output-dir'] }),
+      ...(options.target && { target: options.target }),
+      env: options.env,
+      skipPdf: Boolean(options['skip-pdf'])
+    });
+    return result.success ? 0 : 1;
+  }
+
+  const args = ['run', path.join(__dirname, resolveProfile(config, profile).script)];
+  if (options.out) args.push('--out', `json=${options.out}`);
+  if (options.config) args.push('--env', `LOADTEST_CONFIG=${process.env.LOADTEST_CONFIG}`);
+  if (options.target) args.push('--env', `TARGET_ENV=${options.target}`);
+  if (options.vus) args.push('--env', `VUS=${options.vus}`);
+  if (options.duration) args.push('--env', `DURATION=${options.duration}`);
+  options.env.forEach(pair => args.push('--env', pair));
+
+  return await spawnK6(args);
+}
+
+/**
+ * loadtest merge
+ */
+async function mergeCommand(options) {
+  if (!options.output) {
+    throw new UsageError('Missing --output file');
+  }
+  if (options._.length === 0) {
+    throw new UsageError('No input files given');
+  }
+
+  const inputs = expandInputs(options._);
+  const missing = inputs.filter(file => !fs.existsSync(file));
+  if (inputs.length === 0 || missing.length === inputs.length) {
+    throw new Error(`No result files matched: ${options._.join(' ')}`);
+  }
+  missing.forEach(file => console.warn(`⚠️ File not found: ${file}`));
+
+  let thresholds;
+  if (options.thresholds) {
+    requireFile(options.thresholds, 'Thresholds file');
+    try {
+      thresholds = JSON.parse(fs.readFileSync(options.thresholds, 'utf8'));
+    } catch (error) {
+      throw new Error(`Thresholds file ${options.thresholds} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const { mergeLargeResults } = require('./mergeLargeResults-bulletproof');
+  const result = await mergeLargeResults(inputs.filter(file => fs.existsSync(file)), options.output, {
+    ...(options.profile && { profile: options.profile }),
+    ...(options.metadata && { metadataFile: options.metadata }),
+    ...(thresholds && { thresholds }),
+    ...(options.workers && { workers: Math.floor(options.workers) }),
+    ...(options['shard-mb'] && { shardBytes: Math.ceil(options['shard-mb'] * 1024 * 1024) }),
+    ...(options.bucket && { bucketSeconds: options.bucket })
+  });
+  console.log(`\n📊 ${result.summary.totalRequests.toLocaleString()} requests, error rate ${result.summary.errorRate}`);
+  if (result.summary.thresholdsFailed > 0) {
+    console.log(`⚠️ ${result.summary.thresholdsFailed} threshold(s) failed`);
+  }
+  return 0;
+}
+
+/**
+ * loadtest report
+ */
+async function reportCommand(options) {
+  const input = options.input || options._[0];
+  const output = options.output || options._[1];
+  requireFile(input, 'Merged results file');
+  if (!output) {
+    throw new UsageError('Missing --output file');
+  }
+
+  const { generateSummary } = require('./summarize-bulletproof');
+  await generateSummary(input, output);
+  return 0;
+}
+
+/**
+ * loadtest pdf
+ */
+async function pdfCommand(options) {
+  const input = options.input || options._[0];
+  const output = options.output || options._[1];
+  if (!output) {
+    throw new UsageError('Missing --output');
+  }
+
+  const { generatePDF, generateStyledPDF, generateMultiplePDFs } = require('./generate-pdf');
+
+  if (options.batch) {
+    requireFile(input, 'Input directory');
+    const results = await generateMultiplePDFs(input, output);
+    return results.some(result => result.error) ? 1 : 0;
+  }
+
+  requireFile(input, 'HTML file');
+  await (options.styled ? generateStyledPDF(input, output) : generatePDF(input, output));
+  return 0;
+}
+
+const HANDLERS = {
+  run: runCommand,
+  merge: mergeCommand,
+  report: reportCommand,
+  pdf: pdfCommand
+};
+
+function printHelp(command) {
+  if (command && COMMANDS[command]) {
+    console.log(`Usage: ${COMMANDS[command].usage}\n\n${COMMANDS[command].description}`);
+    return;
+  }
+
+  console.log('Usage: loadtest <command> [options]\n');
+  console.log('Commands:');
+  for (const [name, spec] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(8)} ${spec.description}`);
+  }
+  console.log('\nRun "loadtest <command> --help" for command options.');
+}
+
+/**
+ * Run the CLI and resolve with the process exit code
+ */
+async function main(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    printHelp(rest[0]);
+    return command ? 0 : 2;
+  }
+  if (!HANDLERS[command]) {
+    console.error(`❌ Unknown command: ${command}\n`);
+    printHelp();
+    return 2;
+  }
+
+  try {
+    const options = parseArgs(rest, COMMANDS[command]);
+    if (options.help) {
+      printHelp(command);
+      return 0;
+    }
+    if (options.config) {
+      requireFile(options.config, 'Config file');
+      // Read by project-config.js here and handed to k6 as an absolute path
+      process.env.LOADTEST_CONFIG = path.resolve(options.config);
+    }
+    return await HANDLERS[command](options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n`);
+      printHelp(command);
+      return 2;
+    }
+    console.error(`❌ ${command} failed: ${error.message}`);
+    return 1;
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs, expandInputs };
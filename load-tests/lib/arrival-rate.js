@@ -0,0 +1,96 @@
+import { buildStages, parseDuration, readEnv } from './load-shape.js';
+
+/*
+🚦 ARRIVAL-RATE (OPEN MODEL) SCENARIOS
+
+Closed-model profiles (ramping-vus) slow down with the server: fewer
+responses, fewer new iterations. Arrival-rate executors start iterations at
+a fixed pace regardless, so a slow server shows up as growing latency and,
+once the VU pool is exhausted, as `dropped_iterations`.
+
+   RATE                Iterations per TIME_UNIT (peak rate for ramping)
+   TIME_UNIT           Rate period, default 1s
+   DURATION            Constant-rate run length / ramping total duration
+   EXPECTED_LATENCY    Typical response time used to size the VU pool (default 1s)
+   PRE_ALLOCATED_VUS   Override the derived pre-allocated VU count
+   MAX_VUS             Override the derived VU ceiling
+
+VU pools are derived from the journey itself: an iteration is STEP_COUNT
+requests plus a think time after each, so
+   preAllocatedVUs ≈ rate/s × iteration time at EXPECTED_LATENCY (+20%)
+   maxVUs          ≈ rate/s × iteration time at the p95 latency budget
+*/
+
+const STEP_COUNT = 4;
+
+/**
+ * Read a positive integer --env variable (null when unset), failing on anything else
+ */
+function readPositiveInt(name) {
+  const value = readEnv(name);
+  if (value === null) return null;
+  if (!/^\d+$/.test(value.trim()) || parseInt(value, 10) === 0) {
+    throw new Error(`${name} must be a positive integer, got "${value}"`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Derive preAllocatedVUs/maxVUs for an arrival rate
+ *
+ * @param {Object} config - { rate, timeUnit, thinkTime, p95Budget (ms) }
+ */
+export function estimateVUs(config) {
+  const perSecond = config.rate / parseDuration(config.timeUnit);
+  const expectedLatency = parseDuration(readEnv('EXPECTED_LATENCY') || '1s');
+  const typicalIteration = STEP_COUNT * (config.thinkTime + expectedLatency);
+  const worstIteration = STEP_COUNT * (config.thinkTime + config.p95Budget / 1000);
+
+  const preAllocatedVUs = readPositiveInt('PRE_ALLOCATED_VUS') || Math.max(1, Math.ceil(perSecond * typicalIteration * 1.2));
+  const maxVUs = readPositiveInt('MAX_VUS') || Math.max(preAllocatedVUs, Math.ceil(perSecond * worstIteration));
+  if (maxVUs < preAllocatedVUs) {
+    throw new Error(`MAX_VUS (${maxVUs}) must be at least the ${preAllocatedVUs} pre-allocated VUs`);
+  }
+
+  return { preAllocatedVUs, maxVUs };
+}
+
+/**
+ * constant-arrival-rate scenario: RATE iterations per TIME_UNIT for DURATION
+ *
+ * @param {Object} defaults - { rate, timeUnit, duration, thinkTime, p95Budget }
+ */
+export function constantArrivalScenario(defaults) {
+  const config = Object.assign({}, defaults, {
+    rate: readPositiveInt('RATE') || defaults.rate,
+    timeUnit: readEnv('TIME_UNIT') || defaults.timeUnit,
+    duration: readEnv('DURATION') || defaults.duration
+  });
+
+  return Object.assign({
+    executor: 'constant-arrival-rate',
+    rate: config.rate,
+    timeUnit: config.timeUnit,
+    duration: config.duration,
+  }, estimateVUs(config));
+}
+
+/**
+ * ramping-arrival-rate scenario: the profile's ramp shape, targets in iterations
+ * per TIME_UNIT, sized for the peak rate
+ *
+ * @param {Object} profile - load-shape profile with peakVar: 'RATE'
+ * @param {Object} defaults - { startRate, timeUnit, thinkTime, p95Budget }
+ */
+export function rampingArrivalScenario(profile, defaults) {
+  const stages = buildStages(profile);
+  const peak = Math.max.apply(null, stages.map(stage => stage.target));
+  const timeUnit = readEnv('TIME_UNIT') || defaults.timeUnit;
+
+  return Object.assign({
+    executor: 'ramping-arrival-rate',
+    startRate: defaults.startRate,
+    timeUnit,
+    stages,
+  }, estimateVUs(Object.assign({}, defaults, { rate: peak, timeUnit })));
+}
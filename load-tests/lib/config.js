@@ -0,0 +1,107 @@
+import { readEnv } from './load-shape.js';
+import { stepThresholds } from './steps.js';
+
+/*
+🗂️ PROJECT CONFIGURATION
+
+Environments, user pools, profiles and SLOs live in one file,
+load-tests/loadtest.config.json, which the merger and summarizer read too -
+so the thresholds k6 enforces are the ones the report checks.
+
+   LOADTEST_CONFIG   Config file, relative to this directory
+                     (default ../loadtest.config.json)
+   TARGET_ENV        Environment to test (default: config defaultEnvironment)
+
+Each profile script asks for its own entry with loadProfile('<name>'):
+   load / arrival / spike / breakpoint   Default load shape for the profile
+   journey                               Timeout, think time and log label
+   slo                                   { p95 (ms), errorRate (0-1), abortOnFail? }
+   thresholds                            Extra k6 thresholds, e.g.
+                                         { "http_req_duration{step:login_submit}": ["p(99)<12000"] }
+*/
+
+const CONFIG_FILE = readEnv('LOADTEST_CONFIG') || '../loadtest.config.json';
+const config = JSON.parse(open(CONFIG_FILE));
+
+function dirname(file) {
+  const index = file.lastIndexOf('/');
+  return index === -1 ? '.' : file.substring(0, index);
+}
+
+function resolveEnvironment() {
+  const id = readEnv('TARGET_ENV') || config.defaultEnvironment;
+  const environment = (config.environments || {})[id];
+  if (!environment) {
+    throw new Error(`Unknown environment "${id}" in ${CONFIG_FILE}. Choose one of: ${Object.keys(config.environments || {}).join(', ')}`);
+  }
+  if (!environment.baseUrl) {
+    throw new Error(`Environment "${id}" in ${CONFIG_FILE} needs a baseUrl`);
+  }
+  return Object.assign({ id, name: id }, environment);
+}
+
+export const environment = resolveEnvironment();
+
+/**
+ * The environment's user pool, with its file resolved relative to this directory
+ */
+export function userPool() {
+  const id = environment.userPool || 'default';
+  const pool = (config.userPools || {})[id];
+  if (!pool || !pool.file) {
+    throw new Error(`User pool "${id}" for environment "${environment.id}" is missing from ${CONFIG_FILE}`);
+  }
+  const file = pool.file.startsWith('/') ? pool.file : `${dirname(CONFIG_FILE)}/${pool.file}`;
+  return { id, file, mode: pool.mode || 'random' };
+}
+
+/**
+ * A profile's configuration block, validated
+ */
+export function loadProfile(name) {
+  const profile = (config.profiles || {})[name];
+  if (!profile) {
+    throw new Error(`Profile "${name}" is missing from ${CONFIG_FILE}`);
+  }
+  if (!profile.slo || !(profile.slo.p95 > 0) || !(profile.slo.errorRate >= 0)) {
+    throw new Error(`Profile "${name}" in ${CONFIG_FILE} needs slo.p95 (ms) and slo.errorRate (0-1)`);
+  }
+  return Object.assign({ name }, profile);
+}
+
+/**
+ * k6 thresholds for a profile's SLO: global p95 and error rate, the same
+ * budget for every journey step, then the profile's extra thresholds
+ */
+export function profileThresholds(profile) {
+  const slo = profile.slo;
+  const p95 = `p(95)<${slo.p95}`;
+  const rate = `rate<${slo.errorRate}`;
+
+  // Per-step budgets are reported but never stop the run
+  const global = slo.abortOnFail
+    ? {
+        http_req_duration: [{ threshold: p95, abortOnFail: true, delayAbortEval: slo.abortDelay || '1m' }],
+        http_req_failed: [{ threshold: rate, abortOnFail: true, delayAbortEval: slo.abortDelay || '1m' }],
+      }
+    : {
+        http_req_duration: [p95],
+        http_req_failed: [rate],
+      };
+
+  const thresholds = Object.assign(global, stepThresholds({ p95: slo.p95, failRate: slo.errorRate }));
+
+  // Extra thresholds add to the SLO ones on the same metric rather than replacing them
+  const extra = profile.thresholds || {};
+  Object.keys(extra).forEach(key => {
+    thresholds[key] = (thresholds[key] || []).concat(extra[key]);
+  });
+  return thresholds;
+}
+
+/**
+ * Run-level tags so the merger knows which profile ran against which environment
+ */
+export function runTags(profile) {
+  return { profile: profile.name, environment: environment.id };
+}
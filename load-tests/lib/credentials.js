@@ -0,0 +1,94 @@
+/*
+🔐 CREDENTIAL RESOLUTION
+
+Passwords never live in the k6 scripts or the committed user pool. They are
+resolved once at init time, first match wins:
+
+   LOADTEST_PASSWORD_<USERNAME>   Per-account env var (username upper-cased,
+                                  non-alphanumerics replaced by _)
+   LOADTEST_PASSWORD              Shared password for every account
+   SECRETS_FILE                   Git-ignored JSON map { "username": "password" }
+                                  (default ../secrets.json, relative to this directory)
+
+Any account left without a password aborts the test before a single VU
+starts. redact() masks every resolved password in text headed for logs.
+*/
+
+const SECRETS_FILE = __ENV.SECRETS_FILE || '../secrets.json';
+const REDACTED = '***';
+
+function loadSecretsFile() {
+  let content;
+  try {
+    content = open(SECRETS_FILE);
+  } catch (error) {
+    // A missing file is fine as long as env vars cover every account
+    return {};
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Secrets file ${SECRETS_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function envKey(username) {
+  return `LOADTEST_PASSWORD_${username.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+const secrets = loadSecretsFile();
+const knownSecrets = [];
+
+/**
+ * Attach a password to every user in the pool, failing hard if any is missing
+ */
+export function resolveCredentials(users, source) {
+  const missing = [];
+
+  const resolved = users.map(user => {
+    const password = __ENV[envKey(user.username)] ||
+      __ENV.LOADTEST_PASSWORD ||
+      secrets[user.username] ||
+      '';
+
+    if (!password) {
+      missing.push(user.username);
+    }
+    return Object.assign({}, user, { password });
+  });
+
+  if (missing.length > 0) {
+    const shown = missing.slice(0, 5).join(', ') + (missing.length > 5 ? `, … (${missing.length} total)` : '');
+    throw new Error(
+      `Missing password for ${shown} in ${source}. ` +
+      `Set ${envKey(missing[0])} or LOADTEST_PASSWORD, or add the account to ${SECRETS_FILE} ` +
+      `(see load-tests/secrets.example.json).`
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Register passwords so redact() can mask them
+ */
+export function registerSecrets(users) {
+  for (let i = 0; i < users.length; i++) {
+    const password = users[i].password;
+    if (password && !knownSecrets.includes(password)) {
+      knownSecrets.push(password);
+    }
+  }
+}
+
+/**
+ * Mask any known credential value in a piece of text
+ */
+export function redact(text) {
+  let result = String(text);
+  for (const secret of knownSecrets) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result.replace(/(password=)[^&\s"]*/gi, `$1${REDACTED}`);
+}
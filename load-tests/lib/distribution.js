@@ -0,0 +1,64 @@
+import { readEnv } from './load-shape.js';
+
+/*
+🌐 DISTRIBUTED EXECUTION SEGMENTS
+
+One logical load profile is split across INSTANCE_COUNT k6 processes with
+k6 execution segments: instance i runs the slice (i-1)/N:i/N of every stage,
+so together they ramp exactly like a single generator would.
+
+   INSTANCE_INDEX   This generator's position, 1-based (default 1)
+   INSTANCE_COUNT   Number of generators running the same profile (default 1)
+
+Every metric is tagged with `instance` so the merger can break results down
+per generator.
+*/
+
+/**
+ * Resolve and validate this generator's identity
+ */
+export function resolveInstance() {
+  const count = parseInt(readEnv('INSTANCE_COUNT') || '1', 10);
+  const index = parseInt(readEnv('INSTANCE_INDEX') || '1', 10);
+
+  if (!(count >= 1)) {
+    throw new Error(`INSTANCE_COUNT must be a positive integer, got "${readEnv('INSTANCE_COUNT')}"`);
+  }
+  if (!(index >= 1 && index <= count)) {
+    throw new Error(`INSTANCE_INDEX must be between 1 and ${count}, got "${readEnv('INSTANCE_INDEX')}"`);
+  }
+
+  return { index, count, id: `${index}` };
+}
+
+function fraction(numerator, denominator) {
+  if (numerator === 0) return '0';
+  if (numerator === denominator) return '1';
+  return `${numerator}/${denominator}`;
+}
+
+/**
+ * k6 options that pin this process to its execution segment
+ */
+export function executionSegmentOptions(instance) {
+  if (instance.count === 1) return {};
+
+  const boundaries = [];
+  for (let i = 0; i <= instance.count; i++) {
+    boundaries.push(fraction(i, instance.count));
+  }
+
+  return {
+    executionSegment: `${boundaries[instance.index - 1]}:${boundaries[instance.index]}`,
+    executionSegmentSequence: boundaries.join(','),
+  };
+}
+
+/**
+ * One-line description of this generator's slice for setup() logs
+ */
+export function describeInstance(instance) {
+  if (instance.count === 1) return 'single instance (full profile)';
+  const segment = executionSegmentOptions(instance).executionSegment;
+  return `instance ${instance.index} of ${instance.count}, segment ${segment}`;
+}
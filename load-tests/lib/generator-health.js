@@ -0,0 +1,29 @@
+import { sleep } from 'k6';
+import { Trend } from 'k6/metrics';
+
+/*
+🩺 LOAD GENERATOR HEALTH
+
+A CPU- or memory-starved runner makes k6 itself slow: pauses overrun, the
+scheduler falls behind and connections queue locally, all of which shows up
+as server latency. The journey paces itself through pace() so the run
+carries its own evidence:
+
+   generator_pacing_drift   Trend of how much later than asked a think-time
+                            pause returned (ms). A healthy generator stays
+                            within a few ms; a starved one drifts by hundreds.
+
+The merger reads it together with k6's dropped_iterations, vus/vus_max and
+http_req_blocked/http_req_connecting into a generator saturation verdict.
+*/
+
+const pacingDrift = new Trend('generator_pacing_drift', true);
+
+/**
+ * Sleep for `seconds` and record how late the generator woke up
+ */
+export function pace(seconds) {
+  const started = Date.now();
+  sleep(seconds);
+  pacingDrift.add(Math.max(0, Date.now() - started - seconds * 1000));
+}
@@ -0,0 +1,217 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { redact } from './credentials.js';
+import {
+  bodyText,
+  showsLoginForm,
+  sessionCookieNames,
+  sessionCookiesSet,
+  captureSession,
+  verifySession,
+  recordReauthentication
+} from './session.js';
+import { STEPS, stepTags, recordStep } from './steps.js';
+import { environment } from './config.js';
+import { pace } from './generator-health.js';
+
+/*
+🧭 CONTROL3 USER JOURNEY - SHARED SCENARIO LIBRARY
+
+Every k6 profile (quick, 1500, distributed) walks the same path:
+   1. Login page      GET  /CONTROL3/login.cfm
+   2. Login           POST /CONTROL3/login.cfm
+   3. Dashboard       GET  /CONTROL3/index.cfm
+   4. Event search    POST /CONTROL3/index.cfm
+
+Profiles only declare load shape and thresholds, then hand their
+per-profile settings (timeout, think time, log label) to runJourney().
+The target comes from the TARGET_ENV environment in loadtest.config.json.
+*/
+
+export const BASE_URL = environment.baseUrl;
+
+export const DEFAULT_HEADERS = {
+  'Content-Type': 'application/x-www-form-urlencoded',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Connection': 'keep-alive'
+};
+
+/*
+✅ RESPONSE VALIDATION
+
+Status codes alone can't tell a successful login from ColdFusion re-rendering
+the login form with "invalid password", so the steps that matter keep their
+bodies (responseType: 'text') while everything else stays discarded by the
+profiles' `discardResponseBodies: true`. Markers can be tuned per environment:
+
+   LOGIN_FAILURE_PATTERN   Regex for the login error message
+   DASHBOARD_PATTERN       Regex that only appears once logged in
+*/
+
+const LOGIN_FAILURE = new RegExp(__ENV.LOGIN_FAILURE_PATTERN || 'invalid (user ?name|password)|incorrect password|login failed', 'i');
+const DASHBOARD_MARKER = new RegExp(__ENV.DASHBOARD_PATTERN || 'log ?out|sign ?out', 'i');
+
+const DEFAULT_SETTINGS = {
+  baseUrl: BASE_URL,
+  timeout: '30s',
+  thinkTime: 1,
+  label: 'Load test'
+};
+
+function resolveSettings(settings) {
+  return Object.assign({}, DEFAULT_SETTINGS, settings);
+}
+
+function requestParams(settings, step, extra) {
+  return Object.assign({
+    headers: DEFAULT_HEADERS,
+    timeout: settings.timeout,
+    tags: stepTags(step)
+  }, extra);
+}
+
+function isOk(r) {
+  return r.status === 200 || r.status === 302;
+}
+
+function headerValue(r, name) {
+  const key = Object.keys(r.headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? r.headers[key] : '';
+}
+
+// Step 1: Login page
+export function visitLoginPage(settings) {
+  const s = resolveSettings(settings);
+  const response = http.get(`${s.baseUrl}/CONTROL3/login.cfm`, requestParams(s, STEPS.LOGIN_PAGE));
+
+  const ok = check(response, {
+    'login page loaded': isOk,
+  });
+  recordStep(STEPS.LOGIN_PAGE, response, ok);
+
+  return response;
+}
+
+// Step 2: Login - redirects are not followed so the Location target can be verified
+export function submitLogin(user, settings) {
+  const s = resolveSettings(settings);
+  const loginData = {
+    Username: user.username,
+    Password: user.password,
+    storeUserName: 'on'
+  };
+
+  // ColdFusion usually hands out CFID/CFTOKEN with the login page and keeps them
+  // through the login; only a jar without any needs the login response to set one
+  const heldBefore = sessionCookieNames(s.baseUrl);
+  const response = http.post(`${s.baseUrl}/CONTROL3/login.cfm`, loginData, requestParams(s, STEPS.LOGIN, {
+    responseType: 'text',
+    redirects: 0
+  }));
+
+  const location = headerValue(response, 'Location');
+  const noErrorMessage = !LOGIN_FAILURE.test(bodyText(response));
+  const leftLoginPage = response.status >= 300 && response.status < 400
+    ? location !== '' && !/login\.cfm/i.test(location)
+    : response.status === 200 && !showsLoginForm(response);
+  const hasSessionCookie = heldBefore.length > 0 || sessionCookiesSet(response).length > 0;
+  const loggedIn = noErrorMessage && leftLoginPage && hasSessionCookie;
+
+  check(response, {
+    'login: no error message': () => noErrorMessage,
+    'login: redirected away from login page': () => leftLoginPage,
+    'login: session cookie set': () => hasSessionCookie,
+    'login successful': () => loggedIn,
+  });
+  recordStep(STEPS.LOGIN, response, loggedIn);
+
+  const session = loggedIn ? captureSession(response, s.baseUrl) : {};
+
+  return { response, loggedIn, session };
+}
+
+// Step 3: Dashboard
+export function loadDashboard(settings, session) {
+  const s = resolveSettings(settings);
+  const response = http.get(`${s.baseUrl}/CONTROL3/index.cfm`, requestParams(s, STEPS.DASHBOARD, {
+    responseType: 'text'
+  }));
+
+  const sessionIntact = verifySession(response, session, STEPS.DASHBOARD);
+  const ok = check(response, {
+    'dashboard loaded': (r) => r.status === 200 && sessionIntact && DASHBOARD_MARKER.test(bodyText(r)),
+  });
+  recordStep(STEPS.DASHBOARD, response, ok);
+
+  return { response, sessionIntact };
+}
+
+// Step 4: Search event
+export function searchEvent(user, settings, session) {
+  const s = resolveSettings(settings);
+  const searchData = {
+    SelectedID: user.eventId,
+  };
+
+  const response = http.post(`${s.baseUrl}/CONTROL3/index.cfm`, searchData, requestParams(s, STEPS.SEARCH, {
+    responseType: 'text'
+  }));
+
+  const sessionIntact = verifySession(response, session, STEPS.SEARCH);
+  const ok = check(response, {
+    'search successful': (r) => r.status === 200 && sessionIntact && bodyText(r).includes(user.eventId),
+  });
+  recordStep(STEPS.SEARCH, response, ok);
+
+  return { response, sessionIntact };
+}
+
+/**
+ * Run the full login → dashboard → event search journey for one iteration.
+ * A failed login ends the iteration: an anonymous dashboard hit proves nothing.
+ * If the session drops mid-iteration the user logs in again once and retries
+ * the step, which is what a real user would do.
+ */
+export function runJourney(user, settings) {
+  const s = resolveSettings(settings);
+
+  try {
+    visitLoginPage(s);
+    pace(s.thinkTime);
+
+    const login = submitLogin(user, s);
+    pace(s.thinkTime);
+    if (!login.loggedIn) {
+      return;
+    }
+
+    let session = login.session;
+    const authenticated = (step, run) => {
+      const result = run(session);
+      if (result.sessionIntact) {
+        return true;
+      }
+
+      const relogin = submitLogin(user, s);
+      if (!relogin.loggedIn) {
+        return false;
+      }
+      recordReauthentication(step);
+      session = relogin.session;
+      return run(session).sessionIntact;
+    };
+
+    const dashboardOk = authenticated(STEPS.DASHBOARD, current => loadDashboard(s, current));
+    pace(s.thinkTime);
+    if (!dashboardOk) {
+      return;
+    }
+
+    authenticated(STEPS.SEARCH, current => searchEvent(user, s, current));
+    pace(s.thinkTime);
+  } catch (error) {
+    console.log(`${s.label} error: ${redact(error.message)}`);
+  }
+}
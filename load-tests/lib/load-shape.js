@@ -0,0 +1,148 @@
+/*
+📈 LOAD SHAPE BUILDER
+
+Turns a profile's default ramp definition into k6 `stages`, honouring the
+environment knobs passed with `--env`:
+
+   VUS                 Peak virtual users (ramp steps scale proportionally)
+   DURATION            Total test duration, e.g. 45m or 1h30m
+                       (the hold phase absorbs whatever ramps don't use)
+   HOLD_DURATION       Time held at peak (wins over DURATION)
+   RAMP_UP_DURATION    Total ramp-up time (steps scale proportionally)
+   RAMP_DOWN_DURATION  Ramp-down time
+   RAMP_SHAPE          'stepped' (profile steps, default) or 'linear'
+
+Unset variables fall back to the profile's own values, so running a
+profile without any --env produces exactly its documented shape.
+Arrival-rate profiles reuse the same shape with targets measured in
+iterations per time unit, peaked by RATE instead of VUS (profile.peakVar).
+*/
+
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1, ms: 0.001 };
+
+/**
+ * Parse a k6 duration string ('90s', '4m', '1h30m') into seconds
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let consumed = '';
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * UNIT_SECONDS[match[2]];
+    consumed += match[0];
+  }
+
+  if (consumed !== text) {
+    throw new Error(`Invalid duration: "${value}"`);
+  }
+  return total;
+}
+
+/**
+ * Format seconds as a k6 duration string
+ */
+export function formatDuration(seconds) {
+  const whole = Math.max(0, Math.round(seconds));
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor((whole % 3600) / 60);
+  const s = whole % 60;
+  let text = '';
+  if (h) text += `${h}h`;
+  if (m) text += `${m}m`;
+  if (s || !text) text += `${s}s`;
+  return text;
+}
+
+/**
+ * Read an --env variable, treating empty strings as unset
+ */
+export function readEnv(name) {
+  const value = __ENV[name];
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Resolve the effective load shape for a profile
+ *
+ * @param {Object} profile - { rampUp: [{ duration, target }], hold, rampDown,
+ *                             peakVar?, unit? }
+ *                           the last rampUp target is the default peak
+ */
+export function resolveLoadShape(profile) {
+  const peakVar = profile.peakVar || 'VUS';
+  const defaultPeak = profile.rampUp[profile.rampUp.length - 1].target;
+  const peak = readEnv(peakVar) ? parseInt(readEnv(peakVar), 10) : defaultPeak;
+  if (!(peak > 0)) {
+    throw new Error(`${peakVar} must be a positive integer, got "${readEnv(peakVar)}"`);
+  }
+
+  const shape = (readEnv('RAMP_SHAPE') || 'stepped').toLowerCase();
+  if (shape !== 'stepped' && shape !== 'linear') {
+    throw new Error(`RAMP_SHAPE must be "stepped" or "linear", got "${shape}"`);
+  }
+
+  // Ramp-up: keep the profile's proportions, rescaled to the requested peak and time
+  const defaultRampSeconds = profile.rampUp.reduce((sum, step) => sum + parseDuration(step.duration), 0);
+  const rampUpSeconds = readEnv('RAMP_UP_DURATION') ? parseDuration(readEnv('RAMP_UP_DURATION')) : defaultRampSeconds;
+  const timeScale = defaultRampSeconds > 0 ? rampUpSeconds / defaultRampSeconds : 1;
+
+  const rampUp = shape === 'linear'
+    ? [{ duration: formatDuration(rampUpSeconds), target: peak }]
+    : profile.rampUp.map(step => ({
+        duration: formatDuration(parseDuration(step.duration) * timeScale),
+        target: Math.max(1, Math.round((step.target / defaultPeak) * peak))
+      }));
+
+  const rampDownSeconds = readEnv('RAMP_DOWN_DURATION')
+    ? parseDuration(readEnv('RAMP_DOWN_DURATION'))
+    : parseDuration(profile.rampDown);
+
+  // Hold: explicit HOLD_DURATION, else whatever DURATION leaves after the ramps
+  let holdSeconds = parseDuration(profile.hold);
+  if (readEnv('HOLD_DURATION')) {
+    holdSeconds = parseDuration(readEnv('HOLD_DURATION'));
+  } else if (readEnv('DURATION')) {
+    holdSeconds = parseDuration(readEnv('DURATION')) - rampUpSeconds - rampDownSeconds;
+    if (holdSeconds < 0) {
+      throw new Error(`DURATION=${readEnv('DURATION')} is shorter than ramp-up + ramp-down (${formatDuration(rampUpSeconds + rampDownSeconds)})`);
+    }
+  }
+
+  return {
+    peak,
+    shape,
+    rampUp,
+    hold: formatDuration(holdSeconds),
+    rampDown: formatDuration(rampDownSeconds),
+    totalSeconds: rampUpSeconds + holdSeconds + rampDownSeconds
+  };
+}
+
+/**
+ * Build the k6 `stages` array for a profile
+ */
+export function buildStages(profile) {
+  const shape = resolveLoadShape(profile);
+  const stages = shape.rampUp.slice();
+
+  if (parseDuration(shape.hold) > 0) {
+    stages.push({ duration: shape.hold, target: shape.peak });
+  }
+  stages.push({ duration: shape.rampDown, target: 0 });
+
+  return stages;
+}
+
+/**
+ * One-line description of the resolved shape for setup() logs
+ */
+export function describeLoadShape(profile) {
+  const shape = resolveLoadShape(profile);
+  return `${shape.peak} ${profile.unit || 'VUs'} peak, ${formatDuration(shape.totalSeconds)} total ` +
+    `(${shape.shape} ramp, hold ${shape.hold}, ramp down ${shape.rampDown})`;
+}
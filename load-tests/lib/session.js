@@ -0,0 +1,107 @@
+import http from 'k6/http';
+import { check } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+
+/*
+🍪 CONTROL3 SESSION TRACKING
+
+ColdFusion keeps the login in CFID/CFTOKEN (and JSESSIONID when J2EE sessions
+are on). The journey captures those cookies from the login response, asserts
+every index.cfm request actually sends them, and treats a bounce back to the
+login form as a lost session.
+
+Custom metrics:
+   session_lost      Rate of index.cfm responses that came back logged out
+   session_reauths   Counter of mid-iteration re-logins (tagged with the step)
+*/
+
+export const SESSION_COOKIES = ['CFID', 'CFTOKEN', 'JSESSIONID'];
+
+const LOGIN_FORM = /name=["']?password["']?/i;
+
+const sessionLost = new Rate('session_lost');
+const sessionReauths = new Counter('session_reauths');
+
+export function bodyText(r) {
+  return typeof r.body === 'string' ? r.body : '';
+}
+
+export function showsLoginForm(r) {
+  return LOGIN_FORM.test(bodyText(r));
+}
+
+function jarCookies(baseUrl) {
+  return http.cookieJar().cookiesForURL(`${baseUrl}/CONTROL3/`);
+}
+
+/**
+ * Names of the session cookies currently held for the site
+ */
+export function sessionCookieNames(baseUrl) {
+  const jar = jarCookies(baseUrl);
+  return SESSION_COOKIES.filter(name => jar[name] && jar[name].length > 0);
+}
+
+/**
+ * Names of the session cookies a response set itself
+ */
+export function sessionCookiesSet(response) {
+  return SESSION_COOKIES.filter(name => (response.cookies[name] || []).some(cookie => cookie.value !== ''));
+}
+
+/**
+ * Capture session cookie values after login: what the login response set wins,
+ * anything set earlier (e.g. on the login page) comes from the jar
+ */
+export function captureSession(response, baseUrl) {
+  const jar = jarCookies(baseUrl);
+  const cookies = {};
+
+  SESSION_COOKIES.forEach(name => {
+    const set = response.cookies[name];
+    if (set && set.length > 0) {
+      cookies[name] = set[0].value;
+    } else if (jar[name] && jar[name].length > 0) {
+      cookies[name] = jar[name][0];
+    }
+  });
+
+  return cookies;
+}
+
+function cookiesSent(response, session) {
+  const sent = (response.request && response.request.cookies) || {};
+  return Object.keys(session).every(name =>
+    (sent[name] || []).some(cookie => cookie.value === session[name]));
+}
+
+/**
+ * Check an index.cfm response against the captured session and pick up any
+ * rotated cookie values. Returns false when the server no longer knows us.
+ */
+export function verifySession(response, session, step) {
+  const carried = Object.keys(session).length > 0 && cookiesSent(response, session);
+  const lost = /login\.cfm/i.test(response.url) || showsLoginForm(response);
+
+  sessionLost.add(lost, { step });
+  check(response, {
+    [`${step}: session cookies sent`]: () => carried,
+    [`${step}: session intact`]: () => !lost,
+  });
+
+  Object.keys(session).forEach(name => {
+    const set = response.cookies[name];
+    if (set && set.length > 0) {
+      session[name] = set[0].value;
+    }
+  });
+
+  return !lost;
+}
+
+/**
+ * Record that a step had to log in again to continue the iteration
+ */
+export function recordReauthentication(step) {
+  sessionReauths.add(1, { step });
+}
@@ -0,0 +1,56 @@
+import { Trend, Rate } from 'k6/metrics';
+
+/*
+⏱️ PER-STEP METRICS
+
+Every journey request carries a stable `name` and `step` tag, and feeds its own
+custom metrics so a slow dashboard can't hide behind a fast login page:
+
+   step_duration_<step>   Trend of http_req_duration for that step (ms)
+   step_failed_<step>     Rate of responses that failed the step's validation
+*/
+
+export const STEPS = {
+  LOGIN_PAGE: 'login_page',
+  LOGIN: 'login_submit',
+  DASHBOARD: 'dashboard',
+  SEARCH: 'event_search'
+};
+
+const stepDuration = {};
+const stepFailed = {};
+Object.values(STEPS).forEach(step => {
+  stepDuration[step] = new Trend(`step_duration_${step}`, true);
+  stepFailed[step] = new Rate(`step_failed_${step}`);
+});
+
+/**
+ * Request tags for a step (merged into the request params)
+ */
+export function stepTags(step) {
+  return { name: step, step };
+}
+
+/**
+ * Record one response against its step's Trend and failure Rate
+ */
+export function recordStep(step, response, ok) {
+  stepDuration[step].add(response.timings.duration);
+  stepFailed[step].add(!ok);
+}
+
+/**
+ * Build per-step thresholds for a profile's options
+ *
+ * @param {Object} limits - { p95: ms, failRate: 0..1 } applied to every step
+ * @param {Object} overrides - optional per-step { p95, failRate } keyed by step name
+ */
+export function stepThresholds(limits, overrides = {}) {
+  const thresholds = {};
+  Object.values(STEPS).forEach(step => {
+    const stepLimits = Object.assign({}, limits, overrides[step]);
+    thresholds[`step_duration_${step}`] = [`p(95)<${stepLimits.p95}`];
+    thresholds[`step_failed_${step}`] = [`rate<${stepLimits.failRate}`];
+  });
+  return thresholds;
+}
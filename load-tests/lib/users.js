@@ -0,0 +1,161 @@
+import { SharedArray } from 'k6/data';
+import { Counter } from 'k6/metrics';
+import exec from 'k6/execution';
+import { resolveCredentials, registerSecrets } from './credentials.js';
+import { userPool } from './config.js';
+
+/*
+👤 TEST USER POOL
+
+Accounts and target events are loaded once per test from a CSV or JSON file
+into a SharedArray, so thousands of VUs share one read-only copy.
+
+   USERS_FILE   Pool file, relative to this directory (default: the target
+                environment's pool in loadtest.config.json; .csv is also accepted)
+   USER_MODE    How accounts are handed out:
+                  unique       - each VU is pinned to its own account, across
+                                 every distributed instance (pool must be at
+                                 least as large as the VU count of the whole test)
+                  round-robin  - each iteration takes the next account in turn
+                  random       - each iteration picks an account at random
+                (default: the pool's mode in loadtest.config.json)
+
+JSON pools are an array of { username, eventId } objects.
+CSV pools have a header row with the same column names.
+Passwords are resolved separately (see credentials.js); a pool that carries a
+password field or column is rejected.
+
+Every iteration adds to the `user_logins` counter tagged with the account,
+so the merger can report how many distinct accounts were exercised.
+*/
+
+const POOL = userPool();
+const USERS_FILE = __ENV.USERS_FILE || POOL.file;
+const USER_MODES = ['unique', 'round-robin', 'random'];
+
+export const userMode = (__ENV.USER_MODE || POOL.mode).toLowerCase();
+if (!USER_MODES.includes(userMode)) {
+  throw new Error(`USER_MODE must be one of ${USER_MODES.join(', ')}, got "${userMode}"`);
+}
+
+/**
+ * Parse a CSV document with a header row into an array of objects
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(name => name.trim());
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = (values[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+function loadPool(file) {
+  const content = open(file);
+  const records = file.toLowerCase().endsWith('.csv') ? parseCsv(content) : JSON.parse(content);
+
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error(`User pool ${file} is empty`);
+  }
+
+  const users = records.map((record, index) => {
+    if (!record.username || !record.eventId) {
+      throw new Error(`User pool ${file} entry ${index + 1} needs username and eventId`);
+    }
+    if (record.password !== undefined) {
+      throw new Error(`User pool ${file} entry ${index + 1} has a password; pools are committed, so passwords go in env vars or secrets.json (see credentials.js)`);
+    }
+    return {
+      username: String(record.username),
+      eventId: String(record.eventId)
+    };
+  });
+
+  return resolveCredentials(users, file);
+}
+
+export const testUsers = new SharedArray('test users', () => loadPool(USERS_FILE));
+registerSecrets(testUsers);
+
+const userLogins = new Counter('user_logins');
+
+/**
+ * Account pinned to the current VU. exec.vu.idInTest numbers VUs across all
+ * execution segments, where __VU restarts at 1 on every distributed instance.
+ */
+function uniqueUser() {
+  const vu = exec.vu.idInTest;
+  if (vu > testUsers.length) {
+    exec.test.abort(`USER_MODE=unique needs one account per VU: VU ${vu} of the whole test exceeds the ${testUsers.length} accounts in ${USERS_FILE}`);
+  }
+  return testUsers[vu - 1];
+}
+
+/**
+ * Pick the account for the current iteration according to USER_MODE
+ */
+export function getUser() {
+  let user;
+  if (userMode === 'unique') {
+    user = uniqueUser();
+  } else if (userMode === 'round-robin') {
+    user = testUsers[exec.scenario.iterationInTest % testUsers.length];
+  } else {
+    user = testUsers[Math.floor(Math.random() * testUsers.length)];
+  }
+
+  userLogins.add(1, { user: user.username });
+  return user;
+}
+
+/**
+ * One-line description of the pool for setup() logs
+ */
+export function describeUserPool() {
+  const events = new Set();
+  for (let i = 0; i < testUsers.length; i++) {
+    events.add(testUsers[i].eventId);
+  }
+  return `${testUsers.length} accounts, ${events.size} events from ${USERS_FILE} (${userMode})`;
+}
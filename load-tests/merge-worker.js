@@ -0,0 +1,25 @@
+const { parentPort, workerData } = require('worker_threads');
+const { BulletproofResultMerger } = require('./mergeLargeResults-bulletproof');
+
+/**
+ * 🧵 MERGE WORKER
+ *
+ * Worker thread for BulletproofResultMerger.processInWorkers: receives shards
+ * ({ index, file, start, end, last }) one at a time, parses each with a fresh
+ * merger and posts back its partial aggregate. A null message ends the worker.
+ */
+
+parentPort.on('message', async (shard) => {
+  if (shard === null) {
+    parentPort.close();
+    return;
+  }
+
+  try {
+    const merger = new BulletproofResultMerger(workerData.options);
+    await merger.processFile(shard.file, shard);
+    parentPort.postMessage({ index: shard.index, partial: merger.toPartial() });
+  } catch (error) {
+    parentPort.postMessage({ index: shard.index, error: error.message });
+  }
+});
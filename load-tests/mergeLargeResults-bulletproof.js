@@ -3,6 +3,78 @@
 const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
+const { Worker } = require('worker_threads');
+const { loadConfig, resolveEnvironment, resolveProfile, plannedLoad, profileThresholds, describeSlo } = require('./project-config');
+const { parseThresholdSet, parseMetricKey, mergeThresholdSets, evaluateThresholds } = require('./thresholds');
+const { QuantileSketch } = require('./quantile-sketch');
+const { detectCompression, createInputStream, detectFormat } = require('./result-input');
+const { createCsvParser, readSummary } = require('./result-adapters');
+
+// Metric types for results without k6's "Metric" declaration lines
+const DEFAULT_METRIC_TYPES = {
+  http_reqs: 'counter',
+  iterations: 'counter',
+  data_sent: 'counter',
+  data_received: 'counter',
+  dropped_iterations: 'counter',
+  user_logins: 'counter',
+  session_reauths: 'counter',
+  vus: 'gauge',
+  vus_max: 'gauge',
+  http_req_failed: 'rate',
+  checks: 'rate',
+  session_lost: 'rate'
+};
+
+// Files larger than this are split into line-aligned byte ranges for the workers
+const DEFAULT_SHARD_BYTES = 256 * 1024 * 1024;
+
+// Points k6 writes for each HTTP request, back to back with the same time and tags
+const REQUEST_METRICS = new Set(['http_reqs', 'http_req_duration', 'http_req_failed']);
+// Requests still collecting their points; the oldest is completed beyond this
+const PENDING_REQUEST_LIMIT = 256;
+// Failed requests kept in full for the report
+const ERROR_SAMPLE_LIMIT = 20;
+
+// Width of a time-series bucket unless options.bucketSeconds says otherwise
+const DEFAULT_BUCKET_SECONDS = 10;
+// Longer runs get wider buckets so the time series stays this short
+const MAX_TIMESERIES_BUCKETS = 1000;
+// Endpoints tracked one by one; requests to any further ones are pooled
+const ENDPOINT_LIMIT = 200;
+const OTHER_ENDPOINTS = '(other endpoints)';
+// An instance diverges when its p95 is this many times the other instances' median
+// p95 (and at least DIVERGENCE_LATENCY_MS above it), or its error rate is this many
+// percentage points above theirs. Instances with fewer requests aren't judged.
+const DIVERGENCE_LATENCY_RATIO = 1.5;
+const DIVERGENCE_LATENCY_MS = 100;
+const DIVERGENCE_ERROR_POINTS = 5;
+const DIVERGENCE_MIN_REQUESTS = 50;
+// Generator saturation: think-time pauses returning this late at p95 (ms) mean a busy
+// generator, then a saturated one; so does dropping more than this share of iterations
+const PACING_DRIFT_WARN_MS = 50;
+const PACING_DRIFT_SATURATED_MS = 250;
+const DROPPED_ITERATIONS_SATURATED = 0.01;
+// A time bucket whose average http_req_blocked/connecting is this many times the run's
+// median bucket, and at least CONNECTION_SPIKE_MS above it, is a spike
+const CONNECTION_SPIKE_RATIO = 3;
+const CONNECTION_SPIKE_MS = 100;
+const CONNECTION_METRICS = ['http_req_blocked', 'http_req_connecting'];
+
+/**
+ * URL without query string or fragment, with ID-like path segments (numbers,
+ * UUIDs, long hex strings) replaced by {id} so /event/42 and /event/43 group together
+ */
+function normalizeUrl(url) {
+  const [base] = String(url).split(/[?#]/);
+  return base.replace(/\/(?:\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})(?=\/|$)/gi, '/{id}');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
 
 /**
  * 🔧 BULLETPROOF K6 RESULT MERGER
@@ -11,77 +83,728 @@ const path = require('path');
  */
 
 class BulletproofResultMerger {
-  constructor() {
+  constructor(options = {}) {
+    this.options = options;
+    this.config = loadConfig(options.configFile);
+    this.runMetadata = this.loadRunMetadata(options.metadataFile);
+    this.metricTypes = {};
+    this.submetrics = new Map();
+    this.registerSubmetrics();
     this.metrics = {};
-    this.errors = [];
-    this.checks = [];
+    this.pendingRequests = new Map();
+    this.failedRequests = 0;
+    this.genericErrors = 0;
+    this.errorSamples = [];
+    this.unitemizedErrors = 0;
+    this.checksByName = {};
     this.requestsByStatus = {};
     this.errorsByType = {};
     this.timelineData = [];
+    this.exercisedUsers = new Set();
+    this.profiles = new Set();
+    this.environments = new Set();
+    this.lastVus = null;
+    this.minuteBuckets = new Map();
+    this.bucketSeconds = options.bucketSeconds > 0 ? options.bucketSeconds : DEFAULT_BUCKET_SECONDS;
+    this.timeBuckets = new Map();
+    this.endpoints = new Map();
+    this.instanceStats = {};
+    this.currentSource = 'default';
+    this.vuSeries = new Map();
+    this.inputs = [];
+    this.secretValues = this.loadSecretValues();
     this.testStartTime = null;
     this.testEndTime = null;
     this.totalFiles = 0;
     this.processedFiles = 0;
     this.totalLines = 0;
     this.validLines = 0;
-    this.testConfiguration = {
-      totalUsers: 3000,
-      usersPerInstance: 1000,
-      duration: "25 minutes",
-      environment: "Sports Systems staging environment",
-      thresholds: {
-        p95Duration: "< 10s",
-        errorRate: "< 40%"
+  }
+
+  /**
+   * Tag-filtered thresholds (e.g. http_req_duration{step:login_submit}) need their
+   * own samples, collected while streaming. The profile is only known once the
+   * tags have been read, so every profile's tagged thresholds are registered.
+   */
+  registerSubmetrics() {
+    const sets = Object.values(this.config.profiles).map(profile => profileThresholds(profile));
+    const definitions = parseThresholdSet(mergeThresholdSets(...sets, this.options.thresholds));
+    
+    for (const definition of definitions) {
+      if (Object.keys(definition.tags).length === 0) continue;
+      if (!this.submetrics.has(definition.metric)) {
+        this.submetrics.set(definition.metric, new Map());
+      }
+      const byKey = this.submetrics.get(definition.metric);
+      if (!byKey.has(definition.key)) {
+        byKey.set(definition.key, { tags: definition.tags, sketch: this.createSketch() });
+      }
+    }
+  }
+
+  /**
+   * Add a sample to every registered submetric whose tag filter it matches
+   */
+  trackSubmetrics(metricName, tags, value) {
+    const byKey = this.submetrics.get(metricName);
+    if (!byKey) return;
+    
+    for (const submetric of byKey.values()) {
+      const matches = Object.entries(submetric.tags).every(([name, expected]) => tags[name] !== undefined && String(tags[name]) === expected);
+      if (matches) {
+        submetric.sketch.add(value);
+      }
+    }
+  }
+
+  /**
+   * Statistics a threshold definition is evaluated against
+   */
+  thresholdStats(definition) {
+    const tagged = Object.keys(definition.tags).length > 0;
+    const source = tagged
+      ? this.submetrics.get(definition.metric)?.get(definition.key)
+      : this.metrics[definition.metric];
+    if (!source || source.sketch.count === 0) return null;
+    
+    const declared = this.metricTypes[definition.metric];
+    const type = this.metricType(definition.metric);
+    const sketch = source.sketch;
+    
+    return {
+      type: type,
+      isTime: declared ? declared.contains === 'time' : type === 'trend',
+      count: sketch.count,
+      sum: sketch.sum,
+      min: sketch.min,
+      max: sketch.max,
+      nonZero: sketch.nonZero,
+      last: sketch.last,
+      quantile: q => sketch.quantile(q),
+      durationSec: (this.testEndTime - this.testStartTime) / 1000,
+      approximate: Boolean(source.approximate)
+    };
+  }
+
+  /**
+   * k6 metric type: declared in the results, else known defaults
+   */
+  metricType(metricName) {
+    return this.metricTypes[metricName]?.type
+      || DEFAULT_METRIC_TYPES[metricName]
+      || (metricName.startsWith('step_failed_') ? 'rate' : 'trend');
+  }
+
+  /**
+   * Evaluate the profile's k6 thresholds plus any passed to the merger
+   */
+  evaluateThresholds(profileName) {
+    const profile = resolveProfile(this.config, profileName);
+    const definitions = parseThresholdSet(mergeThresholdSets(profileThresholds(profile), this.options.thresholds));
+    return evaluateThresholds(definitions, definition => this.thresholdStats(definition));
+  }
+
+  /**
+   * Optional run metadata written by the orchestrator (profile, target, planned VUs, ...)
+   */
+  loadRunMetadata(file) {
+    if (!file) return null;
+    if (!fs.existsSync(file)) {
+      console.warn(`⚠️ Run metadata not found: ${file}`);
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️ Could not read run metadata ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Describe the run as it actually happened: VU levels, generators and phases
+   * come from the `vus`/`vus_max` samples, the profile, environment and SLO
+   * from the tags (or run metadata) matched against the project config.
+   * Without VU samples the planned shape from the config is reported instead.
+   */
+  buildTestConfiguration() {
+    const metadata = this.runMetadata || {};
+    const [taggedProfile] = this.profiles;
+    const [taggedEnvironment] = this.environments;
+    if (this.profiles.size > 1) {
+      console.warn(`⚠️ Results contain several profiles (${Array.from(this.profiles).join(', ')}), judging against ${taggedProfile}`);
+    }
+    
+    const profile = resolveProfile(this.config, this.options.profile || taggedProfile || metadata.profile || this.config.defaultProfile);
+    const environment = resolveEnvironment(this.config, taggedEnvironment || metadata.target || undefined);
+    const planned = plannedLoad(profile);
+    const plannedInstances = metadata.instances || profile.instances || 1;
+    const plannedUsers = metadata.vus || planned.peak;
+    // The config's phases only describe the run when its peak wasn't overridden
+    const plannedPhases = plannedUsers === planned.peak ? planned.phases : [];
+    const observed = this.analyzeObservedLoad();
+    
+    const configuration = {
+      profile: profile.name,
+      environment: environment.name,
+      baseUrl: environment.baseUrl,
+      slo: profile.slo,
+      thresholds: describeSlo(profile.slo),
+      planned: {
+        totalUsers: plannedUsers,
+        instances: plannedInstances,
+        duration: metadata.duration || this.formatDuration(planned.durationSeconds),
+        phases: plannedPhases
       },
-      phases: [
-        { name: "Ramp up", users: "0 → 1000", description: "Gradual increase in users" },
-        { name: "Sustain", users: "1000", description: "Held for sustained load" },
-        { name: "Ramp down", users: "1000 → 0", description: "Gradual decrease after peak load" }
-      ]
+      ...(this.runMetadata && { metadata: this.runMetadata })
     };
+    
+    if (!observed) {
+      return {
+        source: 'config',
+        totalUsers: plannedUsers,
+        instanceCount: plannedInstances,
+        usersPerInstance: Math.ceil(plannedUsers / plannedInstances),
+        duration: configuration.planned.duration,
+        phases: plannedPhases,
+        ...configuration
+      };
+    }
+    
+    return {
+      source: 'observed',
+      totalUsers: observed.peakVUs,
+      maxVUs: observed.maxVUs,
+      instanceCount: observed.instances.length,
+      usersPerInstance: observed.instances.reduce((max, instance) => Math.max(max, instance.peakVUs), 0),
+      instances: observed.instances,
+      duration: this.formatDuration((this.testEndTime - this.testStartTime) / 1000),
+      phases: observed.phases,
+      ...configuration
+    };
+  }
+
+  /**
+   * Record a `vus`/`vus_max` sample per generator (instance tag, else source file), one per second
+   */
+  trackVus(metric, tags, timeMs, value) {
+    const source = tags.instance || this.currentSource;
+    if (!this.vuSeries.has(source)) {
+      this.vuSeries.set(source, { vus: new Map(), maxVUs: 0 });
+    }
+    const series = this.vuSeries.get(source);
+    
+    if (metric === 'vus_max') {
+      series.maxVUs = Math.max(series.maxVUs, value);
+      return;
+    }
+    const second = Math.floor(timeMs / 1000);
+    series.vus.set(second, Math.max(series.vus.get(second) || 0, value));
+  }
+
+  /**
+   * Combine per-generator VU samples into one timeline and split it into phases:
+   * sustain is the span at ≥95% of the combined peak, ramp up/down what lies either side
+   */
+  analyzeObservedLoad() {
+    const sources = this.vuSources();
+    if (sources.length === 0) return null;
+    
+    const instances = sources.map(([source, series]) => ({
+      instance: source,
+      peakVUs: Array.from(series.vus.values()).reduce((max, value) => Math.max(max, value), 0),
+      maxVUs: series.maxVUs
+    }));
+    const combined = this.combinedVuTimeline(sources);
+    
+    const peakVUs = combined.reduce((max, point) => Math.max(max, point.vus), 0);
+    const first = combined[0];
+    const last = combined[combined.length - 1];
+    const sustained = combined.filter(point => point.vus >= peakVUs * 0.95);
+    const sustainStart = sustained[0];
+    const sustainEnd = sustained[sustained.length - 1];
+    
+    const phase = (name, users, from, to) => ({
+      name: name,
+      users: users,
+      durationSeconds: to.second - from.second,
+      description: `${this.formatDuration(to.second - from.second)} from +${this.formatDuration(from.second - first.second)}`
+    });
+    const phases = [];
+    if (sustainStart.second > first.second) {
+      phases.push(phase('Ramp up', `${first.vus} → ${peakVUs}`, first, sustainStart));
+    }
+    phases.push(phase('Sustain', `${peakVUs}`, sustainStart, sustainEnd));
+    if (last.second > sustainEnd.second) {
+      phases.push(phase('Ramp down', `${peakVUs} → ${last.vus}`, sustainEnd, last));
+    }
+    
+    return {
+      peakVUs: peakVUs,
+      maxVUs: instances.reduce((sum, instance) => sum + instance.maxVUs, 0),
+      instances: instances,
+      phases: phases
+    };
+  }
+
+  /**
+   * Generators with VU samples, in instance order
+   */
+  vuSources() {
+    return Array.from(this.vuSeries.entries())
+      .filter(([, series]) => series.vus.size > 0)
+      .sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }));
+  }
+
+  /**
+   * Combined VU level per second across generators. A generator counts from its
+   * first sample to its last, holding its latest level in between.
+   */
+  combinedVuTimeline(sources) {
+    const seconds = new Set();
+    sources.forEach(([, series]) => series.vus.forEach((value, second) => seconds.add(second)));
+    const timeline = Array.from(seconds).sort((a, b) => a - b);
+    const cursors = sources.map(([, series]) => {
+      const samples = Array.from(series.vus.entries()).sort((a, b) => a[0] - b[0]);
+      return { samples, index: 0, last: samples[samples.length - 1][0], value: 0 };
+    });
+    return timeline.map(second => {
+      let total = 0;
+      cursors.forEach(cursor => {
+        while (cursor.index < cursor.samples.length && cursor.samples[cursor.index][0] <= second) {
+          cursor.value = cursor.samples[cursor.index][1];
+          cursor.index++;
+        }
+        if (second <= cursor.last) total += cursor.value;
+      });
+      return { second, vus: total };
+    });
   }
 
   /**
-   * Process file line by line with memory efficiency
+   * Process file line by line with memory efficiency. gzip/zstd/brotli files are
+   * decompressed on the fly; k6 CSV rows go through the CSV adapter and summary
+   * exports are ingested whole (processSummaryFile). A shard ({ start, end, last })
+   * limits reading to a line-aligned byte range of a plain JSON file.
    */
-  async processFile(filePath) {
+  async processFile(filePath, shard = null) {
     const fileName = path.basename(filePath);
-    console.log(`📁 Processing: ${fileName}`);
+    const format = shard?.format || await detectFormat(filePath);
+    const range = shard && !shard.whole ? shard : null;
+    const label = range ? `${fileName} [bytes ${range.start.toLocaleString()}-${range.end.toLocaleString()}]` : fileName;
+    console.log(`📁 Processing: ${label}${format !== 'k6-json' ? ` (${format})` : ''}`);
+    this.currentSource = fileName;
     
-    const stats = fs.statSync(filePath);
-    console.log(`📊 File size: ${(stats.size / (1024 * 1024 * 1024)).toFixed(2)} GB`);
+    if (!range) {
+      const stats = fs.statSync(filePath);
+      const compression = detectCompression(filePath);
+      console.log(`📊 File size: ${(stats.size / (1024 * 1024 * 1024)).toFixed(2)} GB${compression ? ` (${compression})` : ''}`);
+    }
+    
+    if (format === 'k6-summary') {
+      await this.processSummaryFile(filePath);
+      this.inputs.push({ file: fileName, format: format, approximate: true });
+      this.processedFiles++;
+      return;
+    }
     
-    const fileStream = fs.createReadStream(filePath);
+    const parseLine = format === 'k6-csv' ? createCsvParser() : line => JSON.parse(line);
     const rl = readline.createInterface({
-      input: fileStream,
+      input: createInputStream(filePath, range),
       crlfDelay: Infinity
     });
     
     let lineCount = 0;
     
-    for await (const line of rl) {
-      lineCount++;
-      this.totalLines++;
+    try {
+      for await (const line of rl) {
+        lineCount++;
+        this.totalLines++;
+        
+        if (lineCount % 100000 === 0) {
+          console.log(`📈 Processed ${lineCount.toLocaleString()} lines from ${label}`);
+        }
+        
+        // Skip empty lines
+        if (line.trim() === '') continue;
+        
+        try {
+          const data = parseLine(line);
+          if (!data) continue;
+          this.validLines++;
+          this.processDataPoint(data);
+        } catch (error) {
+          // Silently skip malformed JSON lines
+          continue;
+        }
+      }
+    } catch (error) {
+      // A truncated archive (k6 killed mid-write) keeps what was read, like a truncated plain file
+      if (!/^(Z_|ERR_BROTLI|ERR_ZSTD)/.test(error.code || '')) throw error;
+      console.warn(`⚠️ ${label}: compressed data ends early after ${lineCount.toLocaleString()} lines (${error.message})`);
+    }
+    
+    console.log(`✅ Completed: ${label} (${lineCount.toLocaleString()} lines)`);
+    // Requests don't span files; one cut by a shard boundary counts in the shard with its http_reqs point
+    this.flushRequests();
+    if (!shard || shard.last) {
+      this.inputs.push({ file: fileName, format: format, approximate: false });
+      this.processedFiles++;
+    }
+  }
+
+  /**
+   * Ingest an end-of-test summary (--summary-export / handleSummary JSON). There
+   * are no samples, so each trend becomes a sketch interpolated between its
+   * reported percentiles and min/max; those metrics are flagged approximate.
+   * The run window is taken to end at the file's modification time.
+   */
+  async processSummaryFile(filePath) {
+    const chunks = [];
+    for await (const chunk of createInputStream(filePath)) {
+      chunks.push(chunk);
+    }
+    let summary;
+    try {
+      summary = readSummary(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)} is not a readable k6 summary: ${error.message}`);
+    }
+    this.totalLines++;
+    this.validLines++;
+    
+    const endTime = fs.statSync(filePath).mtimeMs;
+    const startTime = summary.durationMs ? endTime - summary.durationMs : endTime;
+    if (!this.testStartTime || startTime < this.testStartTime) this.testStartTime = startTime;
+    if (!this.testEndTime || endTime > this.testEndTime) this.testEndTime = endTime;
+    
+    // The file is one generator; its request numbers come from the totals
+    const instance = this.instanceEntry(path.basename(filePath));
+    instance.startTime = startTime;
+    instance.endTime = endTime;
+    instance.approximate = true;
+    
+    for (const metric of summary.metrics) {
+      const sketch = this.summarySketch(metric);
+      const approximate = metric.type === 'trend' || metric.type === 'gauge' || metric.countEstimated;
+      
+      if (metric.key !== metric.name) {
+        // Submetric (e.g. http_req_duration{step:login_submit}) reported for a threshold
+        const { tags } = parseMetricKey(metric.key);
+        const byKey = this.submetrics.get(metric.name);
+        for (const submetric of byKey ? byKey.values() : []) {
+          const sameTags = Object.keys(tags).length === Object.keys(submetric.tags).length
+            && Object.entries(tags).every(([name, value]) => submetric.tags[name] === value);
+          if (sameTags) {
+            submetric.sketch.merge(sketch);
+            submetric.approximate = submetric.approximate || approximate;
+          }
+        }
+        continue;
+      }
       
-      if (lineCount % 100000 === 0) {
-        console.log(`📈 Processed ${lineCount.toLocaleString()} lines from ${fileName}`);
+      if (!this.metricTypes[metric.name]) {
+        this.metricTypes[metric.name] = { type: metric.type, contains: metric.contains };
+      }
+      if (!this.metrics[metric.name]) {
+        this.metrics[metric.name] = { count: 0, rate: 0, sketch: this.createSketch() };
       }
+      const target = this.metrics[metric.name];
+      target.count += sketch.count;
+      target.rate += metric.values.rate || 0;
+      target.sketch.merge(sketch);
+      target.approximate = target.approximate || approximate;
       
-      // Skip empty lines
-      if (line.trim() === '') continue;
+      if (metric.name === 'http_reqs') instance.requests += sketch.count;
+      if (metric.name === 'http_req_failed') instance.errors += metric.values.passes;
+      if (metric.name === 'http_req_duration') instance.latency.merge(sketch);
+      if (metric.name === 'generator_pacing_drift') instance.pacing.merge(sketch);
+      if (metric.name === 'vus') instance.peakVUs = Math.max(instance.peakVUs, metric.values.max || 0);
       
-      try {
-        const data = JSON.parse(line);
-        this.validLines++;
-        this.processDataPoint(data);
-      } catch (error) {
-        // Silently skip malformed JSON lines
+      if (metric.name === 'http_req_failed' && metric.values.passes > 0) {
+        // Failures without per-request tags: counted, but not by type or status
+        this.unitemizedErrors += metric.values.passes;
+        this.errorsByType.unitemized = (this.errorsByType.unitemized || 0) + metric.values.passes;
+      }
+    }
+    
+    for (const check of summary.checks) {
+      this.countCheck(check.name, check.passes, check.fails);
+    }
+  }
+
+  /**
+   * Sketch standing in for a summary metric's samples
+   */
+  summarySketch(metric) {
+    const { values, count } = metric;
+    const options = { relativeAccuracy: this.options.relativeAccuracy };
+    const sketch = new QuantileSketch(options);
+    
+    switch (metric.type) {
+      case 'rate':
+        sketch.add(1, values.passes);
+        sketch.add(0, values.fails);
+        return sketch;
+      case 'counter':
+        // k6 reports the total; treat it as that many unit samples (exact for http_reqs, iterations, ...)
+        sketch.add(1, values.count);
+        return sketch;
+      case 'gauge':
+        [values.min, values.max, values.value].forEach(value => sketch.add(value));
+        sketch.last = values.value ?? null;
+        return sketch;
+      default:
+        return QuantileSketch.fromSummary({
+          count: count,
+          avg: values.avg,
+          min: values.min,
+          max: values.max,
+          quantiles: metric.quantiles
+        }, options);
+    }
+  }
+
+  /**
+   * Split plain input files into shards of about shardBytes, each ending on a line
+   * boundary so no JSON line is cut in two. Shard order is file order, then offset.
+   */
+  async planShards(inputFiles) {
+    const shardBytes = this.options.shardBytes || DEFAULT_SHARD_BYTES;
+    const shards = [];
+    
+    for (const file of inputFiles) {
+      const size = fs.statSync(file).size;
+      const format = await detectFormat(file);
+      // Compressed streams can't be entered mid-way and CSV/summaries need their
+      // header or whole document, so those are one shard each
+      if (detectCompression(file) || format !== 'k6-json') {
+        shards.push({ index: shards.length, file: file, start: 0, end: size, last: true, whole: true, format: format });
         continue;
       }
+      const fd = fs.openSync(file, 'r');
+      try {
+        let start = 0;
+        do {
+          const end = start + shardBytes >= size ? size : this.nextLineStart(fd, start + shardBytes, size);
+          shards.push({ index: shards.length, file: file, start: start, end: end, last: end >= size, format: format });
+          start = end;
+        } while (start < size);
+      } finally {
+        fs.closeSync(fd);
+      }
     }
     
-    console.log(`✅ Completed: ${fileName} (${lineCount.toLocaleString()} lines)`);
-    this.processedFiles++;
+    return shards;
+  }
+
+  /**
+   * Offset of the first line starting at or after position (size if there is none)
+   */
+  nextLineStart(fd, position, size) {
+    const buffer = Buffer.alloc(64 * 1024);
+    let offset = position - 1;
+    while (offset < size) {
+      const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, offset);
+      if (bytesRead === 0) break;
+      const newline = buffer.subarray(0, bytesRead).indexOf(0x0a);
+      if (newline !== -1) return offset + newline + 1;
+      offset += bytesRead;
+    }
+    return size;
+  }
+
+  /**
+   * Parse shards in a pool of worker threads (merge-worker.js). Each worker
+   * returns a partial aggregate per shard; partials are folded in shard order
+   * as soon as their predecessors are in, so the result never depends on
+   * which worker finished first.
+   */
+  async processInWorkers(inputFiles) {
+    const shards = await this.planShards(inputFiles);
+    const workerCount = Math.min(this.options.workers, shards.length);
+    console.log(`🧵 Parsing ${shards.length} shard(s) of ${inputFiles.length} file(s) with ${workerCount} worker threads`);
+    
+    // Workers only aggregate; run metadata is applied here
+    const workerOptions = { ...this.options, metadataFile: undefined };
+    const partials = new Map();
+    const workers = [];
+    let nextToMerge = 0;
+    let nextToSend = 0;
+    
+    const runWorker = () => new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'merge-worker.js'), { workerData: { options: workerOptions } });
+      workers.push(worker);
+      
+      const dispatch = () => {
+        worker.postMessage(nextToSend < shards.length ? shards[nextToSend++] : null);
+      };
+      
+      worker.on('message', (message) => {
+        if (message.error) {
+          reject(new Error(`Worker failed on ${path.basename(shards[message.index].file)}: ${message.error}`));
+          return;
+        }
+        partials.set(message.index, message.partial);
+        while (partials.has(nextToMerge)) {
+          this.mergePartial(partials.get(nextToMerge));
+          partials.delete(nextToMerge);
+          nextToMerge++;
+        }
+        dispatch();
+      });
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        if (code === 0) resolve();
+        else reject(new Error(`Merge worker exited with code ${code}`));
+      });
+      dispatch();
+    });
+    
+    try {
+      await Promise.all(Array.from({ length: workerCount }, runWorker));
+    } catch (error) {
+      await Promise.all(workers.map(worker => worker.terminate()));
+      throw error;
+    }
+  }
+
+  /**
+   * Everything collected so far, as plain data that can cross a worker boundary
+   */
+  toPartial() {
+    return {
+      metricTypes: this.metricTypes,
+      metrics: Object.entries(this.metrics).map(([name, metric]) => [name, { count: metric.count, rate: metric.rate, approximate: metric.approximate, sketch: metric.sketch.toJSON() }]),
+      submetrics: Array.from(this.submetrics.entries()).map(([metric, byKey]) => [metric, Array.from(byKey.entries()).map(([key, submetric]) => [key, submetric.sketch.toJSON(), submetric.approximate])]),
+      inputs: this.inputs,
+      failedRequests: this.failedRequests,
+      genericErrors: this.genericErrors,
+      errorSamples: this.errorSamples,
+      unitemizedErrors: this.unitemizedErrors,
+      checksByName: this.checksByName,
+      requestsByStatus: this.requestsByStatus,
+      errorsByType: this.errorsByType,
+      exercisedUsers: Array.from(this.exercisedUsers),
+      profiles: Array.from(this.profiles),
+      environments: Array.from(this.environments),
+      lastVus: this.lastVus,
+      minuteBuckets: Array.from(this.minuteBuckets.entries()),
+      timeBuckets: Array.from(this.timeBuckets.entries()).map(([index, bucket]) => [index, { ...bucket, latency: bucket.latency.toJSON() }]),
+      endpoints: Array.from(this.endpoints.values()).map(entry => ({
+        ...entry,
+        metrics: Object.entries(entry.metrics).map(([name, sketch]) => [name, sketch.toJSON()])
+      })),
+      instanceStats: Object.entries(this.instanceStats).map(([instance, stats]) => [instance, { ...stats, latency: stats.latency.toJSON(), pacing: stats.pacing.toJSON() }]),
+      vuSeries: Array.from(this.vuSeries.entries()).map(([source, series]) => [source, { vus: Array.from(series.vus.entries()), maxVUs: series.maxVUs }]),
+      testStartTime: this.testStartTime,
+      testEndTime: this.testEndTime,
+      processedFiles: this.processedFiles,
+      totalLines: this.totalLines,
+      validLines: this.validLines
+    };
+  }
+
+  /**
+   * Fold a partial aggregate (from toPartial) into this merger. Folding partials
+   * in input order gives the same result as processing the input sequentially.
+   */
+  mergePartial(partial) {
+    Object.assign(this.metricTypes, partial.metricTypes);
+    
+    for (const [name, metric] of partial.metrics) {
+      if (!this.metrics[name]) {
+        this.metrics[name] = { count: 0, rate: 0, sketch: this.createSketch() };
+      }
+      this.metrics[name].count += metric.count;
+      this.metrics[name].rate += metric.rate;
+      this.metrics[name].sketch.merge(QuantileSketch.fromJSON(metric.sketch));
+      this.metrics[name].approximate = this.metrics[name].approximate || metric.approximate;
+    }
+    for (const [metric, entries] of partial.submetrics) {
+      for (const [key, sketch, approximate] of entries) {
+        const submetric = this.submetrics.get(metric)?.get(key);
+        if (!submetric) continue;
+        submetric.sketch.merge(QuantileSketch.fromJSON(sketch));
+        submetric.approximate = submetric.approximate || approximate;
+      }
+    }
+    partial.inputs.forEach(input => this.inputs.push(input));
+    
+    this.failedRequests += partial.failedRequests;
+    this.genericErrors += partial.genericErrors;
+    partial.errorSamples.forEach(sample => this.addErrorSample(sample));
+    this.unitemizedErrors += partial.unitemizedErrors;
+    for (const [name, stats] of Object.entries(partial.checksByName)) {
+      this.countCheck(name, stats.passed, stats.total - stats.passed);
+    }
+    const addCounts = (target, source) => {
+      for (const [key, count] of Object.entries(source)) {
+        target[key] = (target[key] || 0) + count;
+      }
+    };
+    addCounts(this.requestsByStatus, partial.requestsByStatus);
+    addCounts(this.errorsByType, partial.errorsByType);
+    
+    partial.exercisedUsers.forEach(user => this.exercisedUsers.add(user));
+    partial.profiles.forEach(profile => this.profiles.add(profile));
+    partial.environments.forEach(environment => this.environments.add(environment));
+    if (partial.lastVus && (!this.lastVus || partial.lastVus.time >= this.lastVus.time)) {
+      this.lastVus = partial.lastVus;
+    }
+    
+    for (const [minute, bucket] of partial.minuteBuckets) {
+      const target = this.minuteBuckets.get(minute) || { count: 0, sum: 0, requests: 0, failed: 0 };
+      addCounts(target, bucket);
+      this.minuteBuckets.set(minute, target);
+    }
+    for (const [index, bucket] of partial.timeBuckets) {
+      this.mergeTimeBucket(this.timeBucket(index), { ...bucket, latency: QuantileSketch.fromJSON(bucket.latency) });
+    }
+    for (const endpoint of partial.endpoints) {
+      const target = this.endpointEntry(endpoint.method, endpoint.endpoint);
+      target.requests += endpoint.requests;
+      target.failed += endpoint.failed;
+      target.url = target.url || endpoint.url;
+      addCounts(target.statuses, endpoint.statuses);
+      for (const [name, sketch] of endpoint.metrics) {
+        if (!target.metrics[name]) target.metrics[name] = this.createSketch();
+        target.metrics[name].merge(QuantileSketch.fromJSON(sketch));
+      }
+    }
+    for (const [instance, stats] of partial.instanceStats) {
+      const target = this.instanceEntry(instance);
+      target.requests += stats.requests;
+      target.errors += stats.errors;
+      target.peakVUs = Math.max(target.peakVUs, stats.peakVUs);
+      target.latency.merge(QuantileSketch.fromJSON(stats.latency));
+      target.pacing.merge(QuantileSketch.fromJSON(stats.pacing));
+      if (stats.startTime !== null) {
+        target.startTime = target.startTime === null ? stats.startTime : Math.min(target.startTime, stats.startTime);
+        target.endTime = target.endTime === null ? stats.endTime : Math.max(target.endTime, stats.endTime);
+      }
+      target.approximate = target.approximate || stats.approximate;
+    }
+    for (const [source, series] of partial.vuSeries) {
+      if (!this.vuSeries.has(source)) {
+        this.vuSeries.set(source, { vus: new Map(), maxVUs: 0 });
+      }
+      const target = this.vuSeries.get(source);
+      target.maxVUs = Math.max(target.maxVUs, series.maxVUs);
+      for (const [second, value] of series.vus) {
+        target.vus.set(second, Math.max(target.vus.get(second) || 0, value));
+      }
+    }
+    
+    if (partial.testStartTime !== null && (!this.testStartTime || partial.testStartTime < this.testStartTime)) {
+      this.testStartTime = partial.testStartTime;
+    }
+    if (partial.testEndTime !== null && (!this.testEndTime || partial.testEndTime > this.testEndTime)) {
+      this.testEndTime = partial.testEndTime;
+    }
+    this.processedFiles += partial.processedFiles;
+    this.totalLines += partial.totalLines;
+    this.validLines += partial.validLines;
   }
 
   /**
@@ -100,6 +823,17 @@ class BulletproofResultMerger {
       }
     }
 
+    // Metric declarations carry the type (trend/rate/counter/gauge) thresholds need
+    if (data.type === 'Metric' && data.data?.type) {
+      this.metricTypes[data.metric] = { type: data.data.type, contains: data.data.contains };
+      return;
+    }
+    
+    const pointValue = data.data?.value ?? data.value;
+    if (data.metric && typeof pointValue === 'number') {
+      this.trackSubmetrics(data.metric, data.data?.tags || data.tags || {}, pointValue);
+    }
+
     // Format 1: Standard k6 metric format
     if (data.metric && data.data) {
       this.processMetric(data.metric, data.data, timestamp);
@@ -135,76 +869,694 @@ class BulletproofResultMerger {
       }
     }
 
-    // Enhanced error handling - only count actual failures (value = 1)
-    if (data.metric === 'http_req_failed') {
-      const failureValue = data.data?.value || data.value || 0;
-      const tags = data.data?.tags || data.tags || {};
-      
-      // Track ALL requests by status code (both successful and failed)
-      const status = tags.status || 'unknown';
-      if (!this.requestsByStatus[status]) {
-        this.requestsByStatus[status] = 0;
-      }
-      this.requestsByStatus[status]++;
-      
-      if (failureValue === 1) {
-        // Categorize error by type
-        const errorType = this.categorizeError(tags);
-        
-        this.errors.push({
-          timestamp: timestamp || Date.now(),
-          value: failureValue,
-          tags: tags,
-          errorType: errorType,
-          statusCode: tags.status,
-          errorCode: tags.error_code,
-          method: tags.method,
-          url: tags.url || tags.name,
-          error: tags.error
-        });
-
-        // Track errors by type
-        if (!this.errorsByType[errorType]) {
-          this.errorsByType[errorType] = 0;
-        }
-        this.errorsByType[errorType]++;
-      }
+    // One canonical record per request; status, error and request counts come from it
+    if (REQUEST_METRICS.has(data.metric)) {
+      this.trackRequestPoint(data, timestamp);
     }
+    // Request timings (duration, waiting, blocked, ...) per endpoint
+    if (data.metric?.startsWith('http_req_') && data.metric !== 'http_req_failed' && typeof pointValue === 'number') {
+      this.trackEndpointTiming(data.metric, data.data?.tags || data.tags || {}, pointValue);
+    }
+    
+    // Track profile tags, VU level and per-minute latency for drift/breakpoint analysis
+    this.trackRunShape(data, timestamp);
     
-    // Also track status codes from http_reqs metric
-    if (data.metric === 'http_reqs') {
+    // Track distinct accounts from the user pool (one user_logins point per iteration)
+    if (data.metric === 'user_logins') {
       const tags = data.data?.tags || data.tags || {};
-      const status = tags.status || 'unknown';
-      if (!this.requestsByStatus[status]) {
-        this.requestsByStatus[status] = 0;
+      if (tags.user) {
+        this.exercisedUsers.add(tags.user);
       }
-      this.requestsByStatus[status]++;
     }
     
-    // Handle checks data
+    // Handle checks data (counted per check name, so memory doesn't grow with samples)
     if (data.metric === 'checks') {
       const checkValue = data.data?.value || data.value || 0;
       const tags = data.data?.tags || data.tags || {};
       
-      this.checks.push({
-        timestamp: timestamp || Date.now(),
-        passed: checkValue === 1,
-        checkName: tags.check,
-        tags: tags
-      });
+      this.countCheck(tags.check, checkValue === 1 ? 1 : 0, checkValue === 1 ? 0 : 1);
     }
 
     // Handle other error formats
     if (data.error || data.failed) {
-      this.errors.push({
+      this.genericErrors++;
+      this.errorsByType.generic_error = (this.errorsByType.generic_error || 0) + 1;
+      this.addErrorSample({
         timestamp: timestamp || Date.now(),
-        value: data.data?.value || data.value || 1,
-        tags: data.data?.tags || data.tags || {},
-        errorType: 'generic_error'
+        errorType: 'generic_error',
+        tags: data.data?.tags || data.tags || {}
       });
     }
   }
 
+  /**
+   * Add an http_reqs / http_req_duration / http_req_failed point to its request's
+   * record. Points of one request share timestamp and tags; a metric seen twice
+   * for the same key means a new request.
+   */
+  trackRequestPoint(data, timestamp) {
+    const tags = data.data?.tags || data.tags || {};
+    const value = data.data?.value ?? data.value;
+    const key = `${timestamp}|${JSON.stringify(tags)}`;
+    
+    let record = this.pendingRequests.get(key);
+    if (record && record.seen.has(data.metric)) {
+      this.pendingRequests.delete(key);
+      this.completeRequest(record);
+      record = null;
+    }
+    if (!record) {
+      record = { timestamp: timestamp, tags: tags, seen: new Set(), failed: null, duration: null };
+      this.pendingRequests.set(key, record);
+      if (this.pendingRequests.size > PENDING_REQUEST_LIMIT) {
+        const [oldestKey, oldest] = this.pendingRequests.entries().next().value;
+        this.pendingRequests.delete(oldestKey);
+        this.completeRequest(oldest);
+      }
+    }
+    
+    record.seen.add(data.metric);
+    if (data.metric === 'http_req_failed') {
+      record.failed = value === 1;
+    } else if (data.metric === 'http_req_duration' && typeof value === 'number') {
+      record.duration = value;
+    }
+  }
+
+  /**
+   * Complete every request still collecting points (end of a file or shard)
+   */
+  flushRequests() {
+    for (const record of this.pendingRequests.values()) {
+      this.completeRequest(record);
+    }
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Turn collected points into the canonical request and count it. Each request
+   * has exactly one http_reqs point; points without one (the rest of a request
+   * whose http_reqs point sits across a shard boundary) are not a request.
+   * Without an http_req_failed point, k6's expected_response tag decides.
+   */
+  completeRequest(record) {
+    if (!record.seen.has('http_reqs')) return;
+    
+    const tags = record.tags;
+    this.recordRequest({
+      timestamp: record.timestamp,
+      status: tags.status || 'unknown',
+      step: tags.step,
+      method: tags.method,
+      url: tags.url || tags.name,
+      instance: tags.instance || this.currentSource,
+      failed: record.failed !== null ? record.failed : tags.expected_response === 'false',
+      duration: record.duration,
+      tags: tags
+    });
+  }
+
+  /**
+   * Derive the status breakdown, error counts and per-instance/per-minute/per-bucket/
+   * per-endpoint request counts from one request
+   */
+  recordRequest(request) {
+    this.requestsByStatus[request.status] = (this.requestsByStatus[request.status] || 0) + 1;
+    const endpoint = this.endpointEntry(request.method, this.endpointName(request.tags));
+    endpoint.requests++;
+    endpoint.statuses[request.status] = (endpoint.statuses[request.status] || 0) + 1;
+    if (!endpoint.url && request.tags.url) {
+      endpoint.url = normalizeUrl(request.tags.url);
+    }
+    if (request.failed) {
+      endpoint.failed++;
+    }
+    
+    const timeMs = request.timestamp ? new Date(request.timestamp).getTime() : null;
+    const instance = this.instanceEntry(request.instance);
+    instance.requests++;
+    if (typeof request.duration === 'number') {
+      instance.latency.add(request.duration);
+    }
+    if (timeMs !== null) {
+      instance.startTime = instance.startTime === null ? timeMs : Math.min(instance.startTime, timeMs);
+      instance.endTime = instance.endTime === null ? timeMs : Math.max(instance.endTime, timeMs);
+    }
+    const bucket = timeMs !== null ? this.minuteBucket(timeMs) : null;
+    const timeBucket = timeMs !== null ? this.timeBucket(this.bucketIndex(timeMs)) : null;
+    if (bucket) {
+      bucket.requests++;
+      timeBucket.requests++;
+    }
+    if (!request.failed) return;
+    
+    const errorType = this.categorizeError(request.tags);
+    this.failedRequests++;
+    this.errorsByType[errorType] = (this.errorsByType[errorType] || 0) + 1;
+    instance.errors++;
+    if (bucket) {
+      bucket.failed++;
+      timeBucket.failed++;
+    }
+    this.addErrorSample({
+      timestamp: request.timestamp || Date.now(),
+      errorType: errorType,
+      statusCode: request.tags.status,
+      errorCode: request.tags.error_code,
+      method: request.method,
+      url: request.url,
+      error: request.tags.error
+    });
+  }
+
+  /**
+   * Endpoint a request belongs to: its k6 `name` tag when the script set one
+   * (k6 defaults it to the URL), else the normalized URL
+   */
+  endpointName(tags) {
+    if (tags.name && tags.name !== tags.url) return tags.name;
+    const url = tags.url || tags.name;
+    return url ? normalizeUrl(url) : 'unknown';
+  }
+
+  endpointEntry(method, endpoint) {
+    let key = `${method || ''} ${endpoint}`;
+    if (!this.endpoints.has(key) && this.endpoints.size >= ENDPOINT_LIMIT) {
+      key = OTHER_ENDPOINTS;
+      method = '';
+      endpoint = OTHER_ENDPOINTS;
+    }
+    if (!this.endpoints.has(key)) {
+      this.endpoints.set(key, { method: method || '', endpoint: endpoint, url: null, requests: 0, failed: 0, statuses: {}, metrics: {} });
+    }
+    return this.endpoints.get(key);
+  }
+
+  trackEndpointTiming(metricName, tags, value) {
+    const endpoint = this.endpointEntry(tags.method, this.endpointName(tags));
+    if (!endpoint.metrics[metricName]) {
+      endpoint.metrics[metricName] = this.createSketch();
+    }
+    endpoint.metrics[metricName].add(value);
+  }
+
+  /**
+   * Per-endpoint requests, errors, status codes, latency and request timings,
+   * busiest first
+   */
+  buildEndpointBreakdown() {
+    const round = (value) => Math.round(value * 100) / 100;
+    return Array.from(this.endpoints.values())
+      .filter(endpoint => endpoint.requests > 0)
+      .map(endpoint => {
+        const duration = endpoint.metrics.http_req_duration;
+        const timings = {};
+        for (const [name, sketch] of Object.entries(endpoint.metrics)) {
+          if (name === 'http_req_duration' || sketch.count === 0) continue;
+          timings[name] = { avg: round(sketch.sum / sketch.count), p95: round(sketch.quantile(0.95)) };
+        }
+        return {
+          method: endpoint.method,
+          endpoint: this.redact(endpoint.endpoint),
+          // The URL behind a name tag (first one seen)
+          ...(endpoint.url && endpoint.url !== endpoint.endpoint && { url: this.redact(endpoint.url) }),
+          requests: endpoint.requests,
+          errors: endpoint.failed,
+          errorRate: round((endpoint.failed / endpoint.requests) * 100),
+          statuses: endpoint.statuses,
+          latency: duration && duration.count > 0 ? {
+            avg: round(duration.sum / duration.count),
+            p50: round(duration.quantile(0.5)),
+            p95: round(duration.quantile(0.95)),
+            p99: round(duration.quantile(0.99)),
+            max: round(duration.max)
+          } : null,
+          timings: timings
+        };
+      })
+      .sort((a, b) => b.requests - a.requests || a.endpoint.localeCompare(b.endpoint) || a.method.localeCompare(b.method));
+  }
+
+  addErrorSample(sample) {
+    if (this.errorSamples.length < ERROR_SAMPLE_LIMIT) {
+      this.errorSamples.push(sample);
+    }
+  }
+
+  /**
+   * Track profile tags, the latest VU level, per-minute latency buckets and the time series
+   */
+  trackRunShape(data, timestamp) {
+    const tags = data.data?.tags || data.tags || {};
+    if (tags.profile) {
+      this.profiles.add(tags.profile);
+    }
+    if (tags.environment) {
+      this.environments.add(tags.environment);
+    }
+    const value = data.data?.value ?? data.value;
+    if (data.metric === 'vus' && typeof value === 'number') {
+      const stats = this.instanceEntry(tags.instance || this.currentSource);
+      stats.peakVUs = Math.max(stats.peakVUs, value);
+    }
+    if (data.metric === 'generator_pacing_drift' && typeof value === 'number') {
+      this.instanceEntry(tags.instance || this.currentSource).pacing.add(value);
+    }
+    
+    if (!timestamp) return;
+    const timeMs = new Date(timestamp).getTime();
+    
+    if (data.metric === 'vus' && typeof value === 'number') {
+      if (!this.lastVus || timeMs >= this.lastVus.time) {
+        this.lastVus = { time: timeMs, value: value };
+      }
+    }
+    if ((data.metric === 'vus' || data.metric === 'vus_max') && typeof value === 'number') {
+      this.trackVus(data.metric, tags, timeMs, value);
+    }
+    
+    // Latency per minute; request and failure counts are added per request record
+    if (data.metric === 'http_req_duration' && typeof value === 'number') {
+      const bucket = this.minuteBucket(timeMs);
+      bucket.count++;
+      bucket.sum += value;
+    }
+    if (data.metric && typeof value === 'number') {
+      this.trackTimeseries(data.metric, timeMs, value);
+    }
+  }
+
+  minuteBucket(timeMs) {
+    const minute = Math.floor(timeMs / 60000);
+    if (!this.minuteBuckets.has(minute)) {
+      this.minuteBuckets.set(minute, { count: 0, sum: 0, requests: 0, failed: 0 });
+    }
+    return this.minuteBuckets.get(minute);
+  }
+
+  bucketIndex(timeMs) {
+    return Math.floor(timeMs / (this.bucketSeconds * 1000));
+  }
+
+  /**
+   * Time-series bucket: request/failure counts, a latency sketch and per-metric
+   * count/sum/min/max (enough for any metric type's per-bucket value)
+   */
+  timeBucket(index) {
+    if (!this.timeBuckets.has(index)) {
+      this.timeBuckets.set(index, { requests: 0, failed: 0, latency: this.createSketch(), metrics: {} });
+    }
+    return this.timeBuckets.get(index);
+  }
+
+  trackTimeseries(metricName, timeMs, value) {
+    const bucket = this.timeBucket(this.bucketIndex(timeMs));
+    if (metricName === 'http_req_duration') {
+      bucket.latency.add(value);
+    }
+    const stats = bucket.metrics[metricName];
+    if (!stats) {
+      bucket.metrics[metricName] = { count: 1, sum: value, nonZero: value !== 0 ? 1 : 0, min: value, max: value };
+      return;
+    }
+    stats.count++;
+    stats.sum += value;
+    stats.nonZero += value !== 0 ? 1 : 0;
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+  }
+
+  mergeTimeBucket(target, source) {
+    target.requests += source.requests;
+    target.failed += source.failed;
+    target.latency.merge(source.latency);
+    for (const [name, stats] of Object.entries(source.metrics)) {
+      const existing = target.metrics[name];
+      if (!existing) {
+        target.metrics[name] = { ...stats };
+        continue;
+      }
+      existing.count += stats.count;
+      existing.sum += stats.sum;
+      existing.nonZero += stats.nonZero;
+      existing.min = Math.min(existing.min, stats.min);
+      existing.max = Math.max(existing.max, stats.max);
+    }
+  }
+
+  /**
+   * Time series of the run: one entry per bucket (options.bucketSeconds, widened
+   * to keep at most MAX_TIMESERIES_BUCKETS) from the first sample to the last,
+   * with requests, RPS, failed requests, combined active VUs, latency
+   * percentiles and every metric's per-bucket value. Buckets are aligned to the
+   * clock; the first and last cover only the part inside the run.
+   */
+  buildTimeseries() {
+    if (this.timeBuckets.size === 0) return null;
+    
+    let firstIndex = Infinity;
+    let lastIndex = -Infinity;
+    for (const index of this.timeBuckets.keys()) {
+      firstIndex = Math.min(firstIndex, index);
+      lastIndex = Math.max(lastIndex, index);
+    }
+    const factor = Math.ceil((lastIndex - firstIndex + 1) / MAX_TIMESERIES_BUCKETS);
+    const bucketSeconds = this.bucketSeconds * factor;
+    
+    const groups = new Map();
+    for (const [index, bucket] of this.timeBuckets) {
+      const group = Math.floor(index / factor);
+      if (!groups.has(group)) {
+        groups.set(group, { requests: 0, failed: 0, latency: this.createSketch(), metrics: {} });
+      }
+      this.mergeTimeBucket(groups.get(group), bucket);
+    }
+    
+    // Peak combined VU level per bucket
+    const vusByGroup = new Map();
+    for (const point of this.combinedVuTimeline(this.vuSources())) {
+      const group = Math.floor(point.second / bucketSeconds);
+      vusByGroup.set(group, Math.max(vusByGroup.get(group) || 0, point.vus));
+    }
+    
+    const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const firstGroup = Math.floor(firstIndex / factor);
+    const lastGroup = Math.floor(lastIndex / factor);
+    const buckets = [];
+    for (let group = firstGroup; group <= lastGroup; group++) {
+      const bucket = groups.get(group) || { requests: 0, failed: 0, latency: this.createSketch(), metrics: {} };
+      const start = Math.max(group * bucketSeconds * 1000, this.testStartTime);
+      const end = Math.min((group + 1) * bucketSeconds * 1000, this.testEndTime);
+      const seconds = Math.max(1, (end - start) / 1000);
+      const latency = bucket.latency;
+      
+      const metrics = {};
+      for (const [name, stats] of Object.entries(bucket.metrics)) {
+        const type = this.metricType(name);
+        if (type === 'counter') {
+          metrics[name] = { count: round(stats.sum), rate: round(stats.sum / seconds) };
+        } else if (type === 'rate') {
+          metrics[name] = { rate: round(stats.nonZero / stats.count, 4) };
+        } else if (type === 'gauge') {
+          metrics[name] = { min: round(stats.min), max: round(stats.max) };
+        } else {
+          metrics[name] = { count: stats.count, avg: round(stats.sum / stats.count), max: round(stats.max) };
+        }
+      }
+      
+      buckets.push({
+        start: new Date(start).toISOString(),
+        offsetSeconds: round((start - this.testStartTime) / 1000),
+        seconds: round(seconds),
+        requests: bucket.requests,
+        rps: round(bucket.requests / seconds),
+        errors: bucket.failed,
+        errorRate: bucket.requests > 0 ? round((bucket.failed / bucket.requests) * 100) : 0,
+        vus: vusByGroup.get(group) || 0,
+        latency: latency.count > 0 ? {
+          avg: round(latency.sum / latency.count),
+          p50: round(latency.quantile(0.5)),
+          p90: round(latency.quantile(0.9)),
+          p95: round(latency.quantile(0.95)),
+          p99: round(latency.quantile(0.99)),
+          max: round(latency.max)
+        } : null,
+        metrics: metrics
+      });
+    }
+    
+    return { bucketSeconds: bucketSeconds, buckets: buckets };
+  }
+
+  /**
+   * Per-generator requests, errors, latency, VUs and pacing drift. A generator is its `instance`
+   * tag (distributed runs tag every metric with it), else the result file.
+   */
+  instanceEntry(instance) {
+    if (!this.instanceStats[instance]) {
+      this.instanceStats[instance] = { requests: 0, errors: 0, peakVUs: 0, latency: this.createSketch(), pacing: this.createSketch(), startTime: null, endTime: null, approximate: false };
+    }
+    return this.instanceStats[instance];
+  }
+
+  /**
+   * Each generator's numbers next to the combined ones, with the generators whose
+   * p95 or error rate stands out from the others flagged (see DIVERGENCE_*): one
+   * overloaded runner otherwise just skews the combined result
+   */
+  buildInstanceBreakdown() {
+    const round = (value) => Math.round(value * 100) / 100;
+    
+    const instances = Object.entries(this.instanceStats)
+      .filter(([, stats]) => stats.requests > 0 || stats.peakVUs > 0)
+      .sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }))
+      .map(([instance, stats]) => {
+        const latency = stats.latency;
+        const seconds = stats.endTime !== null ? Math.max(1, (stats.endTime - stats.startTime) / 1000) : null;
+        return {
+          instance: instance,
+          requests: stats.requests,
+          errors: stats.errors,
+          errorRate: stats.requests > 0 ? round((stats.errors / stats.requests) * 100) : 0,
+          rps: seconds ? round(stats.requests / seconds) : null,
+          peakVUs: stats.peakVUs,
+          latency: latency.count > 0 ? {
+            avg: round(latency.sum / latency.count),
+            p50: round(latency.quantile(0.5)),
+            p95: round(latency.quantile(0.95)),
+            p99: round(latency.quantile(0.99)),
+            max: round(latency.max)
+          } : null,
+          pacingDriftP95: stats.pacing.count > 0 ? round(stats.pacing.quantile(0.95)) : null,
+          ...(stats.approximate && { approximate: true }),
+          divergent: false,
+          divergence: []
+        };
+      });
+    
+    const judged = instances.filter(instance => instance.requests >= DIVERGENCE_MIN_REQUESTS && instance.latency);
+    for (const instance of judged) {
+      const others = judged.filter(other => other !== instance);
+      if (others.length === 0) continue;
+      
+      const othersP95 = median(others.map(other => other.latency.p95));
+      if (instance.latency.p95 > othersP95 * DIVERGENCE_LATENCY_RATIO && instance.latency.p95 - othersP95 > DIVERGENCE_LATENCY_MS) {
+        instance.divergence.push(`p95 ${instance.latency.p95} ms vs ${round(othersP95)} ms on the other instances`);
+      }
+      const othersErrorRate = median(others.map(other => other.errorRate));
+      if (instance.errorRate - othersErrorRate > DIVERGENCE_ERROR_POINTS) {
+        instance.divergence.push(`error rate ${instance.errorRate}% vs ${round(othersErrorRate)}% on the other instances`);
+      }
+      instance.divergent = instance.divergence.length > 0;
+    }
+    
+    return instances;
+  }
+
+  /**
+   * Whether the load generators kept up, so latency a starved runner added isn't
+   * reported as server slowness. Each signal is ok, warning or saturated:
+   *
+   *   pacing                 generator_pacing_drift p95 (see PACING_DRIFT_*)
+   *   dropped_iterations     any dropped is a warning, beyond DROPPED_ITERATIONS_SATURATED saturated
+   *   vu_pool                an arrival-rate generator at vus_max is a warning, any generator at
+   *                          vus_max that dropped iterations saturated (ramping-vus sets vus_max
+   *                          to the peak stage, so reaching it there is just the plan)
+   *   http_req_blocked /     buckets spiking above the run's own median (see CONNECTION_SPIKE_*);
+   *   http_req_connecting    only a warning, as a struggling server causes them too
+   *
+   * The verdict is the worst level, or unknown when the results carry none of the signals.
+   */
+  analyzeGeneratorHealth(calculatedMetrics, testConfiguration, instances, timeseries) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const signals = [];
+    const signal = (name, level, value, detail) => signals.push({ signal: name, level: level, value: value, detail: detail });
+    
+    const pacing = calculatedMetrics.generator_pacing_drift;
+    if (pacing?.count > 0) {
+      const level = pacing.p95 >= PACING_DRIFT_SATURATED_MS ? 'saturated' : pacing.p95 >= PACING_DRIFT_WARN_MS ? 'warning' : 'ok';
+      const late = instances
+        .filter(instance => instance.pacingDriftP95 >= PACING_DRIFT_WARN_MS)
+        .sort((a, b) => b.pacingDriftP95 - a.pacingDriftP95)
+        .map(instance => `${instance.instance} (${instance.pacingDriftP95} ms)`);
+      signal('pacing', level, round(pacing.p95),
+        `think-time pauses ended ${round(pacing.p95)} ms late at p95${late.length > 0 ? `, worst on ${late.join(', ')}` : ''}`);
+    }
+    
+    const iterations = calculatedMetrics.iterations?.sum || 0;
+    const dropped = calculatedMetrics.dropped_iterations?.sum || 0;
+    if (iterations > 0 || dropped > 0) {
+      const share = dropped / (iterations + dropped);
+      const level = share > DROPPED_ITERATIONS_SATURATED ? 'saturated' : dropped > 0 ? 'warning' : 'ok';
+      signal('dropped_iterations', level, dropped, dropped > 0
+        ? `${dropped} of ${iterations + dropped} scheduled iterations (${(share * 100).toFixed(2)}%) never started`
+        : 'no iterations dropped');
+    }
+    
+    const pools = (testConfiguration.instances || []).filter(instance => instance.maxVUs > 0);
+    if (pools.length > 0) {
+      const arrivalRate = Boolean(this.config.profiles[testConfiguration.profile]?.arrival);
+      const exhausted = arrivalRate || dropped > 0 ? pools.filter(instance => instance.peakVUs >= instance.maxVUs) : [];
+      const level = exhausted.length === 0 ? 'ok' : dropped > 0 ? 'saturated' : 'warning';
+      signal('vu_pool', level, exhausted.length, exhausted.length > 0
+        ? `${exhausted.map(instance => instance.instance).join(', ')} used every allocated VU (vus = vus_max)${dropped > 0 ? ' and still dropped iterations' : ''}`
+        : `peak ${pools.reduce((sum, instance) => sum + instance.peakVUs, 0)} of ${pools.reduce((sum, instance) => sum + instance.maxVUs, 0)} allocated VUs`);
+    }
+    
+    for (const metric of CONNECTION_METRICS) {
+      const averages = (timeseries?.buckets || [])
+        .map(bucket => bucket.metrics[metric]?.avg)
+        .filter(value => typeof value === 'number');
+      if (averages.length === 0) continue;
+      
+      const baseline = median(averages);
+      const spikes = averages.filter(value => value > baseline * CONNECTION_SPIKE_RATIO && value - baseline > CONNECTION_SPIKE_MS);
+      signal(metric, spikes.length > 0 ? 'warning' : 'ok', spikes.length, spikes.length > 0
+        ? `${spikes.length} of ${averages.length} ${timeseries.bucketSeconds}s buckets averaged up to ${round(Math.max(...spikes))} ms against a median of ${round(baseline)} ms`
+        : `median ${round(baseline)} ms per ${timeseries.bucketSeconds}s bucket, no spikes`);
+    }
+    
+    const levels = signals.map(entry => entry.level);
+    const verdict = signals.length === 0 ? 'unknown'
+      : levels.includes('saturated') ? 'saturated'
+      : levels.includes('warning') ? 'warning'
+      : 'healthy';
+    
+    return {
+      verdict: verdict,
+      // Latency and throughput measured by a saturated generator say more about the runner than the server
+      trustworthy: verdict !== 'saturated',
+      signals: signals
+    };
+  }
+
+  /**
+   * Detect slow latency/error drift (memory-leak style degradation) over a soak run.
+   * Ramp-up and ramp-down are trimmed (10% of minutes at each end), then a
+   * least-squares line through per-minute average latency gives the drift.
+   * Only soak runs hold long enough for that trim to cover the ramps; on shorter
+   * ramping profiles the ramp itself would read as degradation.
+   */
+  analyzeDrift() {
+    if (!this.profiles.has('soak')) return null;
+    const all = Array.from(this.minuteBuckets.entries())
+      .filter(([, bucket]) => bucket.count > 0)
+      .sort((a, b) => a[0] - b[0]);
+    if (all.length < 6) return null;
+    
+    const trim = Math.floor(all.length * 0.1);
+    const window = all.slice(trim, all.length - trim);
+    const firstMinute = window[0][0];
+    const points = window.map(([minute, bucket]) => ({ x: minute - firstMinute, y: bucket.sum / bucket.count }));
+    
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.x - meanX), 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+    const startLatency = meanY - slope * meanX;
+    const endLatency = startLatency + slope * points[n - 1].x;
+    const latencyDrift = startLatency > 0 ? ((endLatency - startLatency) / startLatency) * 100 : 0;
+    
+    const third = Math.max(1, Math.floor(n / 3));
+    const errorRate = (buckets) => {
+      const requests = buckets.reduce((sum, [, bucket]) => sum + bucket.requests, 0);
+      const failed = buckets.reduce((sum, [, bucket]) => sum + bucket.failed, 0);
+      return requests > 0 ? (failed / requests) * 100 : 0;
+    };
+    const errorRateStart = errorRate(window.slice(0, third));
+    const errorRateEnd = errorRate(window.slice(n - third));
+    
+    let verdict = 'stable';
+    if (latencyDrift > 20 || errorRateEnd - errorRateStart > 5) {
+      verdict = 'degrading';
+    } else if (latencyDrift < -20) {
+      verdict = 'improving';
+    }
+    
+    return {
+      windowMinutes: n,
+      startLatency: startLatency.toFixed(2),
+      endLatency: endLatency.toFixed(2),
+      slopeMsPerHour: (slope * 60).toFixed(2),
+      latencyDrift: latencyDrift.toFixed(1) + '%',
+      errorRateStart: errorRateStart.toFixed(2) + '%',
+      errorRateEnd: errorRateEnd.toFixed(2) + '%',
+      verdict: verdict
+    };
+  }
+
+  /**
+   * Whether a breakpoint run broke, and at which VU level. It broke when an
+   * abortOnFail threshold failed; the break point is the first time-series bucket
+   * whose p95 or error rate crossed the SLO (k6 judges the cumulative value, so
+   * the abort comes later), else the VU level at which the run stopped.
+   * A run whose abortOnFail thresholds held finished its ramp without breaking.
+   */
+  analyzeBreakpoint(calculatedMetrics, thresholdResults, slo, timeseries) {
+    if (!this.profiles.has('breakpoint') || !this.lastVus) return null;
+    
+    const peakVUs = calculatedMetrics.vus?.max || this.lastVus.value;
+    const failed = thresholdResults.filter(result => result.abortOnFail && result.passed === false);
+    if (failed.length === 0) {
+      return {
+        broke: false,
+        brokeAtVUs: null,
+        maxVUs: peakVUs,
+        stoppedAt: new Date(this.lastVus.time).toISOString()
+      };
+    }
+    
+    const crossed = (timeseries?.buckets || []).find(bucket => (bucket.latency && bucket.latency.p95 > slo.p95) ||
+      (bucket.requests > 0 && bucket.errorRate > slo.errorRate * 100));
+    return {
+      broke: true,
+      brokeAtVUs: crossed ? crossed.vus : this.lastVus.value,
+      brokeAt: crossed ? crossed.start : new Date(this.lastVus.time).toISOString(),
+      failedThresholds: failed.map(result => `${result.name} ${result.condition}`),
+      maxVUs: peakVUs,
+      stoppedAt: new Date(this.lastVus.time).toISOString()
+    };
+  }
+
+  /**
+   * Collect credential values (env vars and secrets file) that must never reach the report
+   */
+  loadSecretValues() {
+    const values = new Set();
+    
+    for (const [name, value] of Object.entries(process.env)) {
+      if (name.startsWith('LOADTEST_PASSWORD') && value) {
+        values.add(value);
+      }
+    }
+    
+    const secretsFile = process.env.SECRETS_FILE || path.join(__dirname, 'secrets.json');
+    if (fs.existsSync(secretsFile)) {
+      try {
+        const secrets = JSON.parse(fs.readFileSync(secretsFile, 'utf8'));
+        Object.values(secrets).forEach(value => value && values.add(String(value)));
+      } catch (error) {
+        console.warn(`⚠️ Could not read secrets file for redaction: ${error.message}`);
+      }
+    }
+    
+    return Array.from(values);
+  }
+
+  /**
+   * Mask credential values and password parameters in report text
+   */
+  redact(text) {
+    if (text === undefined || text === null) return text;
+    let result = String(text);
+    for (const secret of this.secretValues) {
+      result = result.split(secret).join('***');
+    }
+    return result.replace(/(password=)[^&\s"]*/gi, '$1***');
+  }
+
   /**
    * Categorize errors based on tags and status codes
    */
@@ -242,7 +1594,7 @@ class BulletproofResultMerger {
   processMetric(metricName, metricData, timestamp) {
     if (!this.metrics[metricName]) {
       // Create new metric if it doesn't exist
-      this.metrics[metricName] = { count: 0, rate: 0, values: [] };
+      this.metrics[metricName] = { count: 0, rate: 0, sketch: this.createSketch() };
     }
     
     const metric = this.metrics[metricName];
@@ -258,7 +1610,7 @@ class BulletproofResultMerger {
     }
     
     if (value !== null) {
-      metric.values.push(value);
+      metric.sketch.add(value);
       metric.count++;
     }
     
@@ -269,41 +1621,79 @@ class BulletproofResultMerger {
   }
 
   /**
-   * Calculate statistics from accumulated values
+   * Bounded-memory sketch for one metric's samples (see quantile-sketch.js for the error bound)
    */
-  calculateStats(values) {
-    if (values.length === 0) return { avg: 0, min: 0, max: 0, p90: 0, p95: 0, p99: 0 };
-    
-    const sorted = values.sort((a, b) => a - b);
-    const count = sorted.length;
+  createSketch() {
+    return new QuantileSketch({ relativeAccuracy: this.options.relativeAccuracy });
+  }
+
+  /**
+   * Calculate statistics from a metric's sketch: sum/avg/min/max exact,
+   * percentiles within the sketch's relative accuracy
+   */
+  calculateStats(sketch) {
+    if (sketch.count === 0) return { sum: 0, avg: 0, min: 0, max: 0, p90: 0, p95: 0, p99: 0 };
     
     return {
-      avg: values.reduce((sum, val) => sum + val, 0) / count,
-      min: sorted[0],
-      max: sorted[count - 1],
-      p90: sorted[Math.floor(count * 0.9)],
-      p95: sorted[Math.floor(count * 0.95)],
-      p99: sorted[Math.floor(count * 0.99)]
+      sum: sketch.sum,
+      avg: sketch.sum / sketch.count,
+      min: sketch.min,
+      max: sketch.max,
+      p90: sketch.quantile(0.9),
+      p95: sketch.quantile(0.95),
+      p99: sketch.quantile(0.99)
     };
   }
 
   /**
-   * Analyze checks performance
+   * Build per-step latency and error breakdown from step_duration_* / step_failed_* metrics
    */
-  analyzeChecks() {
-    const checksByName = {};
+  buildStepBreakdown(calculatedMetrics) {
+    const journeyOrder = ['login_page', 'login_submit', 'dashboard', 'event_search'];
+    const steps = [];
     
-    this.checks.forEach(check => {
-      if (!checksByName[check.checkName]) {
-        checksByName[check.checkName] = { total: 0, passed: 0 };
-      }
-      checksByName[check.checkName].total++;
-      if (check.passed) {
-        checksByName[check.checkName].passed++;
-      }
-    });
+    for (const [metricName, stats] of Object.entries(calculatedMetrics)) {
+      if (!metricName.startsWith('step_duration_')) continue;
+      
+      const step = metricName.slice('step_duration_'.length);
+      const failed = calculatedMetrics[`step_failed_${step}`];
+      steps.push({
+        step: step,
+        requests: stats.count,
+        avg: stats.avg.toFixed(2),
+        p90: stats.p90.toFixed(2),
+        p95: stats.p95.toFixed(2),
+        p99: stats.p99.toFixed(2),
+        max: stats.max.toFixed(2),
+        errorRate: ((failed?.avg || 0) * 100).toFixed(2) + '%',
+        ...(stats.approximate && { approximate: true })
+      });
+    }
+    
+    const position = (step) => {
+      const index = journeyOrder.indexOf(step);
+      return index === -1 ? journeyOrder.length : index;
+    };
+    return steps.sort((a, b) => position(a.step) - position(b.step) || a.step.localeCompare(b.step));
+  }
 
-    const checkResults = Object.entries(checksByName).map(([name, stats]) => ({
+  /**
+   * Add passed/failed outcomes for a check
+   */
+  countCheck(name, passed, failed) {
+    const key = name || '';
+    if (!this.checksByName[key]) {
+      this.checksByName[key] = { total: 0, passed: 0 };
+    }
+    this.checksByName[key].total += passed + failed;
+    this.checksByName[key].passed += passed;
+  }
+
+  /**
+   * Analyze checks performance
+   */
+  analyzeChecks() {
+    const checkResults = Object.entries(this.checksByName).map(([name, stats]) => ({
       name: name || 'unnamed_check',
       total: stats.total,
       passed: stats.passed,
@@ -338,30 +1728,38 @@ class BulletproofResultMerger {
     const calculatedMetrics = {};
     
     for (const [metricName, metricData] of Object.entries(this.metrics)) {
-      if (metricData.values && metricData.values.length > 0) {
-        const stats = this.calculateStats(metricData.values);
+      if (metricData.sketch.count > 0) {
+        const stats = this.calculateStats(metricData.sketch);
         calculatedMetrics[metricName] = {
           count: metricData.count,
           rate: metricData.rate,
-          ...stats
+          ...stats,
+          ...(metricData.approximate && { approximate: true })
         };
       } else {
         calculatedMetrics[metricName] = {
           count: metricData.count || 0,
           rate: metricData.rate || 0,
-          avg: 0, min: 0, max: 0, p90: 0, p95: 0, p99: 0
+          sum: 0, avg: 0, min: 0, max: 0, p90: 0, p95: 0, p99: 0
         };
       }
     }
     
     // Ensure we have at least some data
     const totalRequests = calculatedMetrics.http_reqs?.count || 0;
-    const totalErrors = this.errors.length; // Count of actual failures (where value = 1)
+    // Failed requests, other reported errors, plus failures only known from summaries
+    const totalErrors = this.failedRequests + this.genericErrors + this.unitemizedErrors;
     const errorRate = totalRequests > 0 ? (totalErrors / totalRequests) * 100 : 0;
     
+    const testConfiguration = this.buildTestConfiguration();
+    const thresholdResults = this.evaluateThresholds(testConfiguration.profile);
+    
     // Calculate performance metrics
     const rateData = this.calculateRequestRate();
     const checkResults = this.analyzeChecks();
+    const instances = this.buildInstanceBreakdown();
+    const timeseries = this.buildTimeseries();
+    const generatorHealth = this.analyzeGeneratorHealth(calculatedMetrics, testConfiguration, instances, timeseries);
     
     // Get top error types
     const topErrors = Object.entries(this.errorsByType)
@@ -380,12 +1778,16 @@ class BulletproofResultMerger {
         processedFiles: this.processedFiles,
         totalLines: this.totalLines,
         validLines: this.validLines,
-        totalErrors: this.errors.length,
+        totalErrors: totalErrors,
         mergeTimestamp: new Date().toISOString(),
+        percentileRelativeError: this.createSketch().relativeAccuracy,
+        inputs: this.inputs,
+        approximate: this.inputs.some(input => input.approximate),
+        approximateMetrics: Object.keys(calculatedMetrics).filter(name => calculatedMetrics[name].approximate),
         testStartTime: new Date(this.testStartTime).toISOString(),
         testEndTime: new Date(this.testEndTime).toISOString()
       },
-      testConfiguration: this.testConfiguration,
+      testConfiguration: testConfiguration,
       summary: {
         totalRequests: totalRequests,
         totalErrors: totalErrors,
@@ -396,7 +1798,16 @@ class BulletproofResultMerger {
         requestsPerSecond: rateData.requestsPerSecond,
         testDuration: rateData.testDurationMin + ' minutes',
         totalIterations: calculatedMetrics.iterations?.count || 0,
-        totalChecks: this.checks.length,
+        distinctUsers: this.exercisedUsers.size,
+        droppedIterations: calculatedMetrics.dropped_iterations?.sum || 0,
+        peakVUs: testConfiguration.source === 'observed' ? testConfiguration.totalUsers : 0,
+        profiles: Array.from(this.profiles),
+        sessionReauthentications: calculatedMetrics.session_reauths?.count || 0,
+        sessionLossRate: ((calculatedMetrics.session_lost?.avg || 0) * 100).toFixed(2) + '%',
+        thresholdsFailed: thresholdResults.filter(result => result.passed === false).length,
+        divergentInstances: instances.filter(instance => instance.divergent).length,
+        generatorSaturation: generatorHealth.verdict,
+        totalChecks: checkResults.reduce((sum, check) => sum + check.total, 0),
         dataReceived: this.formatBytes(calculatedMetrics.data_received?.count || 0),
         dataSent: this.formatBytes(calculatedMetrics.data_sent?.count || 0)
       },
@@ -413,23 +1824,11 @@ class BulletproofResultMerger {
           avg: (calculatedMetrics.iteration_duration?.avg || 0).toFixed(2),
           p95: (calculatedMetrics.iteration_duration?.p95 || 0).toFixed(2)
         },
-        thresholdResults: [
-          {
-            name: "http_req_duration p(95)",
-            condition: "< 10000 ms",
-            value: (calculatedMetrics.http_req_duration?.p95 || 0).toFixed(2) + " ms",
-            status: (calculatedMetrics.http_req_duration?.p95 || 0) < 10000 ? "✅ Pass" : "❌ Fail"
-          },
-          {
-            name: "http_req_failed rate",
-            condition: "< 40%",
-            value: errorRate.toFixed(2) + "%",
-            status: errorRate < 40 ? "✅ Pass" : "❌ Fail"
-          }
-        ]
+        steps: this.buildStepBreakdown(calculatedMetrics),
+        thresholdResults: thresholdResults
       },
       checks: {
-        total: this.checks.length,
+        total: checkResults.reduce((sum, check) => sum + check.total, 0),
         results: checkResults,
         summary: {
           totalPassed: checkResults.reduce((sum, check) => sum + check.passed, 0),
@@ -440,24 +1839,41 @@ class BulletproofResultMerger {
         }
       },
       errors: {
-        total: this.errors.length,
+        total: totalErrors,
         byType: topErrors,
         byStatus: this.requestsByStatus,
-        samples: this.errors.slice(0, 20).map(error => ({
+        samples: this.errorSamples.map(error => ({
           timestamp: error.timestamp,
           type: error.errorType,
           status: error.statusCode,
           method: error.method,
-          url: error.url ? error.url.substring(0, 100) : 'unknown',
-          error: error.error
+          url: error.url ? this.redact(error.url).substring(0, 100) : 'unknown',
+          error: this.redact(error.error)
         }))
       },
+      endpoints: this.buildEndpointBreakdown(),
+      instances: instances,
+      drift: this.analyzeDrift(),
+      breakpoint: this.analyzeBreakpoint(calculatedMetrics, thresholdResults, testConfiguration.slo, timeseries),
+      timeseries: timeseries,
+      generatorHealth: generatorHealth,
       metrics: calculatedMetrics
     };
     
     return comprehensiveSummary;
   }
 
+  /**
+   * Format seconds as e.g. "12m 30s"
+   */
+  formatDuration(seconds) {
+    const whole = Math.max(0, Math.round(seconds));
+    const h = Math.floor(whole / 3600);
+    const m = Math.floor((whole % 3600) / 60);
+    const s = whole % 60;
+    return [h && `${h}h`, m && `${m}m`, (s || (!h && !m)) && `${s}s`].filter(Boolean).join(' ');
+  }
+
   /**
    * Format bytes to human readable format
    */
@@ -476,13 +1892,21 @@ class BulletproofResultMerger {
     console.log(`🚀 Starting bulletproof merge of ${inputFiles.length} files...`);
     this.totalFiles = inputFiles.length;
     
-    // Process files sequentially
-    for (const filePath of inputFiles) {
+    const existing = inputFiles.filter((filePath) => {
       if (fs.existsSync(filePath)) {
         console.log(`✅ Found file: ${filePath}`);
+        return true;
+      }
+      console.warn(`⚠️ File not found: ${filePath}`);
+      return false;
+    });
+    
+    // Process files sequentially, or in parallel shards with options.workers > 1
+    if (this.options.workers > 1 && existing.length > 0) {
+      await this.processInWorkers(existing);
+    } else {
+      for (const filePath of existing) {
         await this.processFile(filePath);
-      } else {
-        console.warn(`⚠️ File not found: ${filePath}`);
       }
     }
     
@@ -496,6 +1920,9 @@ class BulletproofResultMerger {
     console.log(`✅ Merge completed! Processed ${this.processedFiles}/${this.totalFiles} files`);
     console.log(`📊 Total lines processed: ${this.totalLines.toLocaleString()}`);
     console.log(`📊 Valid JSON lines: ${this.validLines.toLocaleString()}`);
+    if (!summary.generatorHealth.trustworthy) {
+      console.warn('⚠️ Load generator saturated: latency and throughput reflect the runner, not the server');
+    }
     
     return {
       success: true,
@@ -509,8 +1936,8 @@ class BulletproofResultMerger {
 /**
  * Main merge function
  */
-async function mergeLargeResults(inputFiles, outputFile) {
-  const merger = new BulletproofResultMerger();
+async function mergeLargeResults(inputFiles, outputFile, options = {}) {
+  const merger = new BulletproofResultMerger(options);
   return await merger.mergeFiles(inputFiles, outputFile);
 }
 
@@ -544,4 +1971,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { mergeLargeResults }; 
\ No newline at end of file
+module.exports = { mergeLargeResults, BulletproofResultMerger }; 
\ No newline at end of file
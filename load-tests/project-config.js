@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 🗂️ PROJECT CONFIGURATION (NODE SIDE)
+ *
+ * Reads the same loadtest.config.json as the k6 profiles (lib/config.js),
+ * so the merger and summarizer judge a run against the SLO k6 enforced.
+ * LOADTEST_CONFIG points at another file; TARGET_ENV picks the environment.
+ */
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'loadtest.config.json');
+const JOURNEY_STEPS = ['login_page', 'login_submit', 'dashboard', 'event_search'];
+const UNIT_SECONDS = { h: 3600, m: 60, s: 1, ms: 0.001 };
+
+/**
+ * Load and validate the project configuration
+ */
+function loadConfig(file = process.env.LOADTEST_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  for (const key of ['environments', 'profiles']) {
+    if (!config[key] || typeof config[key] !== 'object') {
+      throw new Error(`Config file ${file} needs an "${key}" object`);
+    }
+  }
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    if (!profile.slo || !(profile.slo.p95 > 0) || !(profile.slo.errorRate >= 0)) {
+      throw new Error(`Profile "${name}" in ${file} needs slo.p95 (ms) and slo.errorRate (0-1)`);
+    }
+  }
+
+  return { file, ...config };
+}
+
+/**
+ * Environment entry by id (TARGET_ENV, then the config default)
+ */
+function resolveEnvironment(config, id = process.env.TARGET_ENV || config.defaultEnvironment) {
+  const environment = config.environments[id];
+  if (!environment) {
+    throw new Error(`Unknown environment "${id}" in ${config.file}. Choose one of: ${Object.keys(config.environments).join(', ')}`);
+  }
+  return { id, name: id, ...environment };
+}
+
+/**
+ * Profile entry by name (falls back to the config default)
+ */
+function resolveProfile(config, name = config.defaultProfile) {
+  const profile = config.profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}" in ${config.file}. Choose one of: ${Object.keys(config.profiles).join(', ')}`);
+  }
+  return { name, ...profile };
+}
+
+function parseDuration(value) {
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  let total = 0;
+  let match;
+  while ((match = pattern.exec(String(value))) !== null) {
+    total += parseFloat(match[1]) * UNIT_SECONDS[match[2]];
+  }
+  return total;
+}
+
+/**
+ * Seconds as a k6 duration string, e.g. 1h30m
+ */
+function formatDuration(seconds) {
+  const whole = Math.max(0, Math.round(seconds));
+  const h = Math.floor(whole / 3600);
+  const m = Math.floor((whole % 3600) / 60);
+  const s = whole % 60;
+  return `${h ? `${h}h` : ''}${m ? `${m}m` : ''}${s || (!h && !m) ? `${s}s` : ''}`;
+}
+
+/**
+ * Planned peak, duration and phases of a profile's default load shape
+ */
+function plannedLoad(profile) {
+  if (profile.load) {
+    const { rampUp, hold, rampDown, unit = 'VUs' } = profile.load;
+    const peak = rampUp[rampUp.length - 1].target;
+    const rampSeconds = rampUp.reduce((sum, step) => sum + parseDuration(step.duration), 0);
+    return {
+      peak,
+      unit,
+      durationSeconds: rampSeconds + parseDuration(hold) + parseDuration(rampDown),
+      phases: [
+        { name: 'Ramp up', users: `0 → ${peak}`, description: `${rampUp.length} steps over ${rampUp.map(step => step.duration).join(' + ')}` },
+        { name: 'Sustain', users: `${peak}`, description: `Held for ${hold}` },
+        { name: 'Ramp down', users: `${peak} → 0`, description: `Over ${rampDown}` }
+      ]
+    };
+  }
+
+  if (profile.spike) {
+    const { baseline, peak, warmUp, baselineHold, ramp, hold, recovery, rampDown } = profile.spike;
+    return {
+      peak,
+      unit: 'VUs',
+      durationSeconds: parseDuration(warmUp) + parseDuration(baselineHold) + 2 * parseDuration(ramp)
+        + parseDuration(hold) + parseDuration(recovery) + parseDuration(rampDown),
+      phases: [
+        { name: 'Baseline', users: `${baseline}`, description: `Warm up over ${warmUp}, steady for ${baselineHold}` },
+        { name: 'Spike', users: `${baseline} → ${peak}`, description: `Jump in ${ramp}, held for ${hold}` },
+        { name: 'Recovery', users: `${peak} → ${baseline}`, description: `Back to baseline for ${recovery}` }
+      ]
+    };
+  }
+
+  if (profile.breakpoint) {
+    const { peak, ramp } = profile.breakpoint;
+    return {
+      peak,
+      unit: 'VUs',
+      durationSeconds: parseDuration(ramp),
+      phases: [
+        { name: 'Ramp up', users: `0 → ${peak}`, description: `Linear over ${ramp} until thresholds abort the run` }
+      ]
+    };
+  }
+
+  if (profile.arrival && profile.arrival.rate) {
+    const { rate, timeUnit, duration } = profile.arrival;
+    return {
+      peak: rate,
+      unit: `iterations/${timeUnit}`,
+      durationSeconds: parseDuration(duration),
+      phases: [
+        { name: 'Constant rate', users: `${rate} iterations/${timeUnit}`, description: `Held for ${duration}` }
+      ]
+    };
+  }
+
+  return { peak: 0, unit: 'VUs', durationSeconds: 0, phases: [] };
+}
+
+/**
+ * The profile's thresholds exactly as k6 enforces them (lib/config.js):
+ * SLO p95 and error rate, the same budget per journey step, then any extra
+ * k6-style `thresholds` the profile declares
+ */
+function profileThresholds(profile) {
+  const { slo } = profile;
+  const p95 = `p(95)<${slo.p95}`;
+  const rate = `rate<${slo.errorRate}`;
+  const global = slo.abortOnFail
+    ? {
+        http_req_duration: [{ threshold: p95, abortOnFail: true }],
+        http_req_failed: [{ threshold: rate, abortOnFail: true }]
+      }
+    : {
+        http_req_duration: [p95],
+        http_req_failed: [rate]
+      };
+
+  const steps = {};
+  for (const step of JOURNEY_STEPS) {
+    steps[`step_duration_${step}`] = [p95];
+    steps[`step_failed_${step}`] = [rate];
+  }
+
+  const thresholds = { ...global, ...steps };
+  for (const [key, entries] of Object.entries(profile.thresholds || {})) {
+    thresholds[key] = (thresholds[key] || []).concat(entries);
+  }
+  return thresholds;
+}
+
+/**
+ * Human-readable SLO conditions, as shown in the report
+ */
+function describeSlo(slo) {
+  return {
+    p95Duration: `< ${slo.p95 / 1000}s`,
+    errorRate: `< ${+(slo.errorRate * 100).toFixed(2)}%`
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  JOURNEY_STEPS,
+  loadConfig,
+  resolveEnvironment,
+  resolveProfile,
+  plannedLoad,
+  formatDuration,
+  profileThresholds,
+  describeSlo
+};
@@ -0,0 +1,222 @@
+/**
+ * 📐 STREAMING QUANTILE SKETCH
+ *
+ * Bounded-memory replacement for "keep every sample and sort": values are
+ * counted in logarithmic buckets (the DDSketch scheme), so p90/p95/p99 over
+ * hundreds of millions of samples cost a few KB per metric.
+ *
+ * ERROR BOUND: with relativeAccuracy α (default 0.01) every bucket spans
+ * [γ^(i-1), γ^i] with γ = (1+α)/(1-α), and the reported value is the bucket's
+ * midpoint 2γ^i/(γ+1). Any quantile is therefore within ±α × true value of the
+ * sample at that rank (±1% by default: a true p95 of 8000 ms reads 7920-8080 ms).
+ * count, sum, avg, min and max are exact.
+ *
+ * MEMORY: at most maxBuckets buckets per sign (default 2048; α = 1% covers
+ * 1 µs to 1 year in about 2000). If that is ever exceeded the lowest buckets are
+ * collapsed together, which only affects accuracy of the very lowest quantiles.
+ *
+ * Sketches with the same α merge exactly (bucket counts add), so per-file or
+ * per-worker sketches combine into the same result as one pass over all data.
+ */
+
+// |values| below this are counted as zero (log buckets can't hold 0)
+const MIN_INDEXABLE = 1e-9;
+
+class QuantileSketch {
+  constructor(options = {}) {
+    this.relativeAccuracy = options.relativeAccuracy || 0.01;
+    this.maxBuckets = options.maxBuckets || 2048;
+    if (!(this.relativeAccuracy > 0 && this.relativeAccuracy < 1)) {
+      throw new Error(`relativeAccuracy must be between 0 and 1, got ${this.relativeAccuracy}`);
+    }
+
+    this.gamma = (1 + this.relativeAccuracy) / (1 - this.relativeAccuracy);
+    this.logGamma = Math.log(this.gamma);
+    this.positive = new Map();
+    this.negative = new Map();
+    this.zeroCount = 0;
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.nonZero = 0;
+    this.last = null;
+  }
+
+  /**
+   * Record one sample (or `weight` identical samples)
+   */
+  add(value, weight = 1) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || !(weight > 0)) return;
+
+    this.count += weight;
+    this.sum += value * weight;
+    this.last = value;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+    if (value !== 0) this.nonZero += weight;
+
+    if (Math.abs(value) < MIN_INDEXABLE) {
+      this.zeroCount += weight;
+      return;
+    }
+    const store = value > 0 ? this.positive : this.negative;
+    const index = this.bucketIndex(Math.abs(value));
+    store.set(index, (store.get(index) || 0) + weight);
+    if (store.size > this.maxBuckets) this.collapse(store);
+  }
+
+  bucketIndex(magnitude) {
+    return Math.ceil(Math.log(magnitude) / this.logGamma);
+  }
+
+  bucketValue(index) {
+    return 2 * Math.pow(this.gamma, index) / (this.gamma + 1);
+  }
+
+  /**
+   * Fold the lowest-magnitude buckets into one to respect maxBuckets
+   */
+  collapse(store) {
+    const indexes = Array.from(store.keys()).sort((a, b) => a - b);
+    const excess = indexes.length - this.maxBuckets;
+    const target = indexes[excess];
+    let folded = 0;
+    for (let i = 0; i < excess; i++) {
+      folded += store.get(indexes[i]);
+      store.delete(indexes[i]);
+    }
+    store.set(target, store.get(target) + folded);
+  }
+
+  /**
+   * Value at quantile q (0-1); same rank rule as sorting: sorted[floor(q × count)]
+   */
+  quantile(q) {
+    if (this.count === 0) return null;
+    const rank = Math.min(this.count - 1, Math.max(0, Math.floor(q * this.count)));
+    if (rank === 0) return this.min;
+    if (rank === this.count - 1) return this.max;
+
+    let seen = 0;
+    const negatives = Array.from(this.negative.keys()).sort((a, b) => b - a);
+    for (const index of negatives) {
+      seen += this.negative.get(index);
+      if (seen > rank) return this.clamp(-this.bucketValue(index));
+    }
+    seen += this.zeroCount;
+    if (seen > rank) return 0;
+    const positives = Array.from(this.positive.keys()).sort((a, b) => a - b);
+    for (const index of positives) {
+      seen += this.positive.get(index);
+      if (seen > rank) return this.clamp(this.bucketValue(index));
+    }
+    return this.max;
+  }
+
+  clamp(value) {
+    return Math.min(this.max, Math.max(this.min, value));
+  }
+
+  /**
+   * Add another sketch's samples into this one
+   */
+  merge(other) {
+    if (other.relativeAccuracy !== this.relativeAccuracy) {
+      throw new Error(`Cannot merge sketches with different accuracy (${this.relativeAccuracy} vs ${other.relativeAccuracy})`);
+    }
+    if (other.count === 0) return this;
+
+    for (const [source, target] of [[other.positive, this.positive], [other.negative, this.negative]]) {
+      for (const [index, count] of source) {
+        target.set(index, (target.get(index) || 0) + count);
+      }
+      if (target.size > this.maxBuckets) this.collapse(target);
+    }
+    this.zeroCount += other.zeroCount;
+    this.count += other.count;
+    this.sum += other.sum;
+    this.nonZero += other.nonZero;
+    this.min = Math.min(this.min, other.min);
+    this.max = Math.max(this.max, other.max);
+    this.last = other.last !== null ? other.last : this.last;
+    return this;
+  }
+
+  /**
+   * Plain-object form (for worker messages or saving partial aggregates)
+   */
+  toJSON() {
+    return {
+      relativeAccuracy: this.relativeAccuracy,
+      maxBuckets: this.maxBuckets,
+      positive: Array.from(this.positive.entries()),
+      negative: Array.from(this.negative.entries()),
+      zeroCount: this.zeroCount,
+      count: this.count,
+      sum: this.sum,
+      min: this.count > 0 ? this.min : null,
+      max: this.count > 0 ? this.max : null,
+      nonZero: this.nonZero,
+      last: this.last
+    };
+  }
+
+  /**
+   * Approximate sketch rebuilt from end-of-test summary statistics (k6
+   * --summary-export / handleSummary), for inputs without individual samples.
+   * `count` samples are spread linearly between the known quantiles
+   * ({ 0.5: med, 0.9: p90, ... }) and min/max. Count, min, max and sum
+   * (avg × count) match the summary; quantiles in between are interpolated.
+   */
+  static fromSummary({ count, avg, min, max, quantiles = {} }, options = {}) {
+    const sketch = new QuantileSketch(options);
+    if (!(count > 0) || typeof min !== 'number' || typeof max !== 'number') return sketch;
+
+    const points = [[0, min]];
+    Object.entries(quantiles)
+      .map(([q, value]) => [parseFloat(q), value])
+      .filter(([q, value]) => q > 0 && q < 1 && typeof value === 'number')
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([q, value]) => points.push([q, Math.min(max, Math.max(points[points.length - 1][1], value))]));
+
+    // Ranks [floor(qa × count), floor(qb × count)) get values from va towards vb
+    const steps = 16;
+    for (let i = 0; i < points.length; i++) {
+      const [qa, va] = points[i];
+      const [qb, vb] = i + 1 < points.length ? points[i + 1] : [1, max];
+      const from = Math.floor(qa * count);
+      const to = i + 1 < points.length ? Math.floor(qb * count) : count - 1;
+      const samples = to - from;
+      if (samples <= 0) continue;
+      const chunks = Math.min(steps, samples);
+      for (let chunk = 0; chunk < chunks; chunk++) {
+        const weight = Math.floor(samples * (chunk + 1) / chunks) - Math.floor(samples * chunk / chunks);
+        sketch.add(va + (vb - va) * chunk / chunks, weight);
+      }
+    }
+    sketch.add(max);
+
+    sketch.min = min;
+    sketch.max = max;
+    if (typeof avg === 'number') sketch.sum = avg * count;
+    sketch.last = null;
+    return sketch;
+  }
+
+  static fromJSON(json) {
+    const sketch = new QuantileSketch({ relativeAccuracy: json.relativeAccuracy, maxBuckets: json.maxBuckets });
+    sketch.positive = new Map(json.positive);
+    sketch.negative = new Map(json.negative);
+    sketch.zeroCount = json.zeroCount;
+    sketch.count = json.count;
+    sketch.sum = json.sum;
+    sketch.min = json.min === null ? Infinity : json.min;
+    sketch.max = json.max === null ? -Infinity : json.max;
+    sketch.nonZero = json.nonZero;
+    sketch.last = json.last;
+    return sketch;
+  }
+}
+
+module.exports = { QuantileSketch };
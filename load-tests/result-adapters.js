@@ -0,0 +1,204 @@
+/**
+ * 🔌 RESULT FORMAT ADAPTERS
+ *
+ * Turn k6 outputs other than `--out json` into what the merger consumes:
+ *
+ *   --out csv            Every row becomes the same { metric, data: { time, value, tags } }
+ *                        point the JSON output has, so statistics stay exact.
+ *   --summary-export /   End-of-test aggregates only. readSummary() normalises both
+ *   handleSummary JSON   layouts; the merger rebuilds approximate distributions from
+ *                        them and marks everything derived that way as approximate.
+ */
+
+// k6 CSV columns that are tags (extra_tags holds the rest as name=value&...)
+const CSV_TAG_COLUMNS = [
+  'check', 'error', 'error_code', 'expected_response', 'group', 'method', 'name',
+  'proto', 'scenario', 'service', 'status', 'subproto', 'tls_version', 'url'
+];
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("a,b" and "" escapes)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * k6 CSV timestamps: unix seconds by default, or milli/micro/nanoseconds or RFC 3339
+ * (K6_CSV_TIME_FORMAT), as epoch milliseconds
+ */
+function parseCsvTime(value) {
+  if (/^\d+$/.test(value)) {
+    const digits = value.length;
+    const number = Number(value);
+    if (digits <= 11) return number * 1000;
+    if (digits <= 14) return number;
+    if (digits <= 17) return number / 1000;
+    return number / 1e6;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Line parser for a k6 CSV file: the first line is the header, every later
+ * line returns a k6 JSON-style point (or null for lines that aren't one)
+ */
+function createCsvParser() {
+  let columns = null;
+
+  return (line) => {
+    const fields = parseCsvLine(line);
+    if (!columns) {
+      columns = {};
+      fields.forEach((name, index) => { columns[name.trim()] = index; });
+      if (columns.metric_name === undefined || columns.metric_value === undefined) {
+        throw new Error('CSV results need metric_name and metric_value columns');
+      }
+      return null;
+    }
+
+    const field = (name) => columns[name] === undefined ? '' : (fields[columns[name]] || '');
+    const value = parseFloat(field('metric_value'));
+    if (!field('metric_name') || Number.isNaN(value)) return null;
+
+    const tags = {};
+    for (const name of CSV_TAG_COLUMNS) {
+      if (field(name) !== '') tags[name] = field(name);
+    }
+    for (const pair of field('extra_tags').split('&')) {
+      const separator = pair.indexOf('=');
+      if (separator > 0) tags[pair.slice(0, separator)] = pair.slice(separator + 1);
+    }
+
+    return {
+      type: 'Point',
+      metric: field('metric_name'),
+      data: { time: parseCsvTime(field('timestamp')), value: value, tags: tags }
+    };
+  };
+}
+
+/**
+ * k6 metric type from summary values when the layout doesn't state it (--summary-export)
+ */
+function inferSummaryType(values) {
+  if (values.passes !== undefined && values.fails !== undefined) return 'rate';
+  if (values.count !== undefined) return 'counter';
+  if (values.avg !== undefined || values.med !== undefined) return 'trend';
+  return 'gauge';
+}
+
+/**
+ * Summaries don't count trend samples; borrow the count of the metric that has one sample per trend sample
+ */
+function trendCount(name, byName) {
+  const counterCount = (metric) => byName[metric]?.values.count;
+  const rateCount = (metric) => byName[metric] ? byName[metric].values.passes + byName[metric].values.fails : undefined;
+
+  let count;
+  if (name.startsWith('http_req_')) count = counterCount('http_reqs');
+  else if (name === 'iteration_duration') count = counterCount('iterations');
+  else if (name.startsWith('step_duration_')) count = rateCount(`step_failed_${name.slice('step_duration_'.length)}`);
+  return count > 0 ? count : counterCount('iterations') || 1;
+}
+
+/**
+ * Normalise a k6 end-of-test summary (--summary-export or the handleSummary data
+ * object) into { durationMs, metrics: [...], checks: [{ name, passes, fails }] }.
+ * Each metric has { name, key, type, contains, count, countEstimated, values,
+ * quantiles } with quantiles keyed by fraction (0.5 for med, 0.95 for p(95), ...).
+ */
+function readSummary(summary) {
+  if (!summary || typeof summary.metrics !== 'object') {
+    throw new Error('Summary JSON has no "metrics" object');
+  }
+
+  // handleSummary nests values under "values" and states the type; --summary-export is flat
+  const byName = {};
+  for (const [key, metric] of Object.entries(summary.metrics)) {
+    const values = metric.values || metric;
+    byName[key] = { type: metric.type || inferSummaryType(values), contains: metric.contains, values: values };
+  }
+
+  const metrics = Object.entries(byName).map(([key, metric]) => {
+    const { type, values } = metric;
+    const quantiles = {};
+    for (const [stat, value] of Object.entries(values)) {
+      const percentile = /^p\((\d+(?:\.\d+)?)\)$/.exec(stat);
+      if (percentile) quantiles[parseFloat(percentile[1]) / 100] = value;
+      else if (stat === 'med') quantiles[0.5] = value;
+    }
+
+    let count = 1;
+    let countEstimated = false;
+    if (type === 'rate') {
+      count = values.passes + values.fails;
+    } else if (type === 'counter') {
+      count = values.count;
+    } else if (type === 'trend') {
+      count = trendCount(key.replace(/\{.*$/, ''), byName);
+      countEstimated = true;
+    }
+
+    return {
+      name: key.replace(/\{.*$/, ''),
+      key: key,
+      type: type,
+      contains: metric.contains || (type === 'trend' && /duration|waiting|connecting|blocked|sending|receiving|handshaking|drift/.test(key) ? 'time' : 'default'),
+      count: count,
+      countEstimated: countEstimated,
+      values: values,
+      quantiles: quantiles
+    };
+  });
+
+  const checks = [];
+  const collectChecks = (group) => {
+    if (!group) return;
+    const groupChecks = Array.isArray(group.checks) ? group.checks : Object.values(group.checks || {});
+    groupChecks.forEach(check => checks.push({ name: check.name, passes: check.passes || 0, fails: check.fails || 0 }));
+    const groups = Array.isArray(group.groups) ? group.groups : Object.values(group.groups || {});
+    groups.forEach(collectChecks);
+  };
+  collectChecks(summary.root_group);
+
+  const reqs = byName.http_reqs?.values || byName.iterations?.values;
+  const durationMs = summary.state?.testRunDurationMs
+    || (reqs && reqs.rate > 0 ? (reqs.count / reqs.rate) * 1000 : null);
+
+  return { durationMs: durationMs, metrics: metrics, checks: checks };
+}
+
+module.exports = {
+  CSV_TAG_COLUMNS,
+  parseCsvLine,
+  parseCsvTime,
+  createCsvParser,
+  readSummary
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+/**
+ * 🗜️ RESULT FILE INPUT
+ *
+ * Opens k6 result files for the merger, decompressing on the fly so artifacts
+ * can stay compressed (`k6 run --out json=results.json.gz`). The format is taken
+ * from the magic bytes, then the extension (brotli has no magic number):
+ *
+ *   gzip     .gz / .gzip     1f 8b
+ *   zstd     .zst / .zstd    28 b5 2f fd   (Node versions with zlib zstd support)
+ *   brotli   .br
+ *
+ * It also tells the merger which k6 output a file holds (detectFormat):
+ *
+ *   k6-json      --out json            one JSON point per line
+ *   k6-csv       --out csv             header line starting with metric_name
+ *   k6-summary   --summary-export or a handleSummary JSON dump (one document)
+ */
+
+const COMPRESSIONS = {
+  gzip: { extensions: ['.gz', '.gzip'], magic: [0x1f, 0x8b], decompress: () => zlib.createGunzip() },
+  zstd: { extensions: ['.zst', '.zstd'], magic: [0x28, 0xb5, 0x2f, 0xfd], decompress: () => zlib.createZstdDecompress() },
+  brotli: { extensions: ['.br'], magic: null, decompress: () => zlib.createBrotliDecompress() }
+};
+
+/**
+ * Compression of a result file: 'gzip', 'zstd', 'brotli' or null for plain text
+ */
+function detectCompression(file) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(file, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  for (const [name, compression] of Object.entries(COMPRESSIONS)) {
+    if (compression.magic && bytesRead >= compression.magic.length && compression.magic.every((byte, i) => header[i] === byte)) {
+      return name;
+    }
+  }
+  const lower = file.toLowerCase();
+  for (const [name, compression] of Object.entries(COMPRESSIONS)) {
+    if (compression.extensions.some(extension => lower.endsWith(extension))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Readable stream of a result file's text. Byte ranges ({ start, end }, end
+ * exclusive) are only possible on plain files.
+ */
+function createInputStream(file, range = null) {
+  const compression = detectCompression(file);
+
+  if (!compression) {
+    return range
+      ? fs.createReadStream(file, { start: range.start, end: Math.max(range.start, range.end - 1) })
+      : fs.createReadStream(file);
+  }
+  if (range) {
+    throw new Error(`${file} is ${compression}-compressed and can't be read by byte range`);
+  }
+  if (compression === 'zstd' && typeof zlib.createZstdDecompress !== 'function') {
+    throw new Error(`${file} is zstd-compressed, which needs a Node.js version with zlib zstd support (22.15+); decompress it first or use gzip`);
+  }
+
+  // pipeline forwards read errors to the decompressor, which the reader sees
+  const output = COMPRESSIONS[compression].decompress();
+  pipeline(fs.createReadStream(file), output, () => {});
+  return output;
+}
+
+// Enough text to see a CSV header or a complete first JSON line
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * First bytes of a result file as (decompressed) text
+ */
+async function readHead(file, bytes = SNIFF_BYTES) {
+  const stream = createInputStream(file);
+  const chunks = [];
+  let length = 0;
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) break;
+    }
+  } catch (error) {
+    // A truncated archive still has a readable head
+    if (length === 0) throw error;
+  } finally {
+    stream.destroy();
+  }
+  return Buffer.concat(chunks).subarray(0, bytes).toString('utf8');
+}
+
+/**
+ * Which k6 output a result file holds: 'k6-json', 'k6-csv' or 'k6-summary'
+ */
+async function detectFormat(file) {
+  const head = (await readHead(file)).replace(/^\uFEFF/, '');
+  const trimmed = head.trimStart();
+  if (trimmed.startsWith('metric_name,')) return 'k6-csv';
+  if (!trimmed.startsWith('{')) return 'k6-json';
+
+  const newline = trimmed.indexOf('\n');
+  const firstLine = (newline === -1 ? trimmed : trimmed.slice(0, newline)).trim();
+  try {
+    const first = JSON.parse(firstLine);
+    return first.metrics && typeof first.metrics === 'object' && !first.metric ? 'k6-summary' : 'k6-json';
+  } catch (error) {
+    // Points are short lines; a document that is pretty-printed or longer than
+    // the sniffed head is a summary
+    return firstLine === '{' || newline === -1 ? 'k6-summary' : 'k6-json';
+  }
+}
+
+module.exports = {
+  COMPRESSIONS,
+  detectCompression,
+  createInputStream,
+  readHead,
+  detectFormat
+};
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { mergeLargeResults } = require('./mergeLargeResults-bulletproof');
+const { generateSummary } = require('./summarize-bulletproof');
+const { loadConfig, resolveProfile, plannedLoad, formatDuration } = require('./project-config');
+
+/**
+ * 🌐 LOCAL DISTRIBUTED ORCHESTRATOR
+ *
+ * Runs N k6 processes of distributed-runner.js (one execution segment each),
+ * waits for all of them, then merges, summarizes and renders the PDF.
+ * Instance count, total VUs and duration default to the distributed profile
+ * in loadtest.config.json.
+ */
+
+class DistributedOrchestrator {
+  constructor(options = {}) {
+    const profile = resolveProfile(loadConfig(), 'distributed');
+    const planned = plannedLoad(profile);
+    this.options = {
+      instances: profile.instances || 3,
+      vus: planned.peak,
+      duration: formatDuration(planned.durationSeconds),
+      stagger: 0,
+      outputDir: 'outputs',
+      script: path.join(__dirname, 'distributed-runner.js'),
+      k6: process.env.K6_BIN || 'k6',
+      skipPdf: false,
+      target: null,
+      // Extra KEY=VALUE pairs passed to every k6 process with --env
+      env: [],
+      // One merge worker per result file, as far as there are cores for them
+      mergeWorkers: Math.min(options.instances || profile.instances || 3, os.cpus().length),
+      ...options
+    };
+    this.children = [];
+  }
+
+  /**
+   * Result file for an instance (same naming as the GitHub Actions artifacts)
+   */
+  resultFile(index) {
+    return path.join(this.options.outputDir, `distributed-${index}-results.json`);
+  }
+
+  /**
+   * What was asked for, so the merger can report planned next to observed values
+   */
+  writeMetadata(extra = {}) {
+    const { instances, vus, duration, stagger, target } = this.options;
+    const metadata = {
+      profile: 'distributed',
+      target: target,
+      instances: instances,
+      vus: vus,
+      duration: duration,
+      stagger: stagger,
+      ...extra
+    };
+    fs.writeFileSync(this.metadataFile(), JSON.stringify(metadata, null, 2));
+    return metadata;
+  }
+
+  metadataFile() {
+    return path.join(this.options.outputDir, 'run-metadata.json');
+  }
+
+  /**
+   * Spawn one k6 process and resolve with its exit code
+   */
+  runInstance(index) {
+    const { instances, vus, duration, script, k6, target, env } = this.options;
+    const args = [
+      'run', script,
+      '--out', `json=${this.resultFile(index)}`,
+      '--env', `VUS=${vus}`,
+      '--env', `DURATION=${duration}`,
+      '--env', `INSTANCE_INDEX=${index}`,
+      '--env', `INSTANCE_COUNT=${instances}`
+    ];
+    if (process.env.LOADTEST_CONFIG) args.push('--env', `LOADTEST_CONFIG=${path.resolve(process.env.LOADTEST_CONFIG)}`);
+    if (target) args.push('--env', `TARGET_ENV=${target}`);
+    env.forEach(pair => args.push('--env', pair));
+
+    console.log(`🚀 [k6-${index}] ${k6} ${args.join(' ')}`);
+
+    return new Promise((resolve) => {
+      const child = spawn(k6, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      this.children.push(child);
+
+      const prefix = (stream, target) => {
+        let buffer = '';
+        stream.on('data', (chunk) => {
+          buffer += chunk.toString();
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.forEach(line => target.write(`[k6-${index}] ${line}\n`));
+        });
+        stream.on('end', () => {
+          if (buffer) target.write(`[k6-${index}] ${buffer}\n`);
+        });
+      };
+      prefix(child.stdout, process.stdout);
+      prefix(child.stderr, process.stderr);
+
+      child.on('error', (error) => {
+        console.error(`❌ [k6-${index}] Failed to start: ${error.message}`);
+        resolve({ index, code: -1 });
+      });
+      child.on('close', (code, signal) => {
+        // k6 exits with 99 when thresholds fail - the results are still valid
+        const status = code === 0 ? '✅ passed' : code === 99 ? '⚠️ thresholds failed' : `❌ exit ${code}${signal ? ` (${signal})` : ''}`;
+        console.log(`[k6-${index}] ${status}`);
+        resolve({ index, code: code === null ? -1 : code });
+      });
+    });
+  }
+
+  /**
+   * Start every instance (all at once, or staggered by N seconds) and wait for all
+   */
+  async runAll() {
+    const { instances, stagger } = this.options;
+    const runs = [];
+
+    for (let index = 1; index <= instances; index++) {
+      if (index > 1 && stagger > 0) {
+        console.log(`⏳ Staggering next instance by ${stagger}s...`);
+        await new Promise(resolve => setTimeout(resolve, stagger * 1000));
+      }
+      runs.push(this.runInstance(index));
+    }
+
+    return await Promise.all(runs);
+  }
+
+  /**
+   * Forward Ctrl+C to the k6 processes so they write their results and stop
+   */
+  forwardSignals() {
+    const forward = (signal) => {
+      console.log(`\n🛑 ${signal} received, stopping ${this.children.length} k6 process(es)...`);
+      this.children.forEach(child => child.kill(signal));
+    };
+    process.once('SIGINT', () => forward('SIGINT'));
+    process.once('SIGTERM', () => forward('SIGTERM'));
+  }
+
+  /**
+   * Merge → HTML summary → PDF over whatever result files were produced
+   */
+  async postProcess() {
+    const { outputDir, instances, skipPdf, mergeWorkers } = this.options;
+    const resultFiles = [];
+    for (let index = 1; index <= instances; index++) {
+      if (fs.existsSync(this.resultFile(index))) {
+        resultFiles.push(this.resultFile(index));
+      }
+    }
+
+    if (resultFiles.length === 0) {
+      throw new Error('No k6 result files were produced');
+    }
+
+    const mergedFile = path.join(outputDir, 'combined-results.json');
+    const htmlFile = path.join(outputDir, 'load-test-summary.html');
+    const pdfFile = path.join(outputDir, 'load-test-report.pdf');
+
+    console.log('\n🧠 Merging results...');
+    await mergeLargeResults(resultFiles, mergedFile, { metadataFile: this.metadataFile(), workers: mergeWorkers });
+
+    console.log('\n📊 Generating HTML summary...');
+    await generateSummary(mergedFile, htmlFile);
+
+    if (!skipPdf) {
+      // Loaded here so --skip-pdf runs don't need puppeteer
+      const { generateStyledPDF } = require('./generate-pdf');
+      console.log('\n📄 Generating PDF report...');
+      await generateStyledPDF(htmlFile, pdfFile);
+    }
+
+    return { mergedFile, htmlFile, pdfFile: skipPdf ? null : pdfFile };
+  }
+
+  /**
+   * Full run: k6 instances, then post-processing
+   */
+  async run() {
+    const { instances, vus, duration, outputDir } = this.options;
+    console.log(`🌐 Starting ${instances} k6 instance(s): ${vus} VUs total, ${duration}`);
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    this.forwardSignals();
+    const startedAt = new Date().toISOString();
+    this.writeMetadata({ startedAt });
+    const results = await this.runAll();
+    const failed = results.filter(result => result.code !== 0);
+    this.writeMetadata({
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      exitCodes: results.map(result => result.code)
+    });
+
+    console.log('\n📋 Instance results:');
+    results.forEach(result => console.log(`- Instance ${result.index}: exit ${result.code}`));
+
+    const reports = await this.postProcess();
+
+    return {
+      success: failed.length === 0,
+      instances: results,
+      ...reports
+    };
+  }
+}
+
+/**
+ * Main orchestration function
+ */
+async function runDistributed(options = {}) {
+  const orchestrator = new DistributedOrchestrator(options);
+  return await orchestrator.run();
+}
+
+// CLI usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = {};
+  const usage = (problem) => {
+    if (problem) console.error(`❌ ${problem}`);
+    console.log('Usage: node run-distributed.js [--instances 3] [--vus 3000] [--duration 23m] [--stagger 0] [--output-dir outputs] [--skip-pdf] [--target staging] [--merge-workers N]');
+    process.exit(1);
+  };
+  const positiveInt = (flag, value) => {
+    if (!/^\d+$/.test(value || '') || parseInt(value, 10) === 0) usage(`${flag} must be a positive integer, got "${value ?? ''}"`);
+    return parseInt(value, 10);
+  };
+  const seconds = (flag, value) => {
+    if (!(parseFloat(value) >= 0)) usage(`${flag} must be a number of seconds, got "${value ?? ''}"`);
+    return parseFloat(value);
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => args[++i];
+    if (arg === '--instances') options.instances = positiveInt(arg, next());
+    else if (arg === '--vus') options.vus = positiveInt(arg, next());
+    else if (arg === '--duration') options.duration = next();
+    else if (arg === '--stagger') options.stagger = seconds(arg, next());
+    else if (arg === '--output-dir') options.outputDir = next();
+    else if (arg === '--skip-pdf') options.skipPdf = true;
+    else if (arg === '--target') options.target = next();
+    else if (arg === '--merge-workers') options.mergeWorkers = positiveInt(arg, next());
+    else usage();
+  }
+
+  runDistributed(options)
+    .then((result) => {
+      console.log('\n📁 Reports:');
+      console.log(`- Combined Results: ${result.mergedFile}`);
+      console.log(`- HTML Summary: ${result.htmlFile}`);
+      if (result.pdfFile) console.log(`- PDF Report: ${result.pdfFile}`);
+
+      if (!result.success) {
+        console.error('\n⚠️ One or more k6 instances exited with a non-zero code');
+        process.exit(1);
+      }
+      console.log('\n✅ Distributed run completed successfully!');
+    })
+    .catch((error) => {
+      console.error('❌ Distributed run failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDistributed, DistributedOrchestrator };
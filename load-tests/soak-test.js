@@ -0,0 +1,49 @@
+import { runJourney } from './lib/journey.js';
+import { getUser, describeUserPool } from './lib/users.js';
+import { buildStages, describeLoadShape } from './lib/load-shape.js';
+import { loadProfile, profileThresholds, runTags } from './lib/config.js';
+
+/*
+🕰️ SOAK TEST
+
+👥 USERS: 400 concurrent (moderate, sustained)
+⏱️ DURATION: ~4 hours 15 minutes (override with --env VUS / DURATION)
+🎯 PURPOSE: Find slow degradation - memory leaks, session table growth,
+            connection pool exhaustion - that short tests never reach
+💰 COST: FREE (GitHub Actions, within the 6h job limit) / High (Local)
+
+📉 The merged report compares latency and error rate across the run and
+   flags upward drift during the hold phase.
+*/
+
+// Load shape from loadtest.config.json (override with --env VUS / DURATION / RAMP_SHAPE ...)
+const PROFILE = loadProfile('soak');
+const LOAD_PROFILE = PROFILE.load;
+
+export const options = {
+  stages: buildStages(LOAD_PROFILE),
+  // SLO from loadtest.config.json, same budget for every journey step
+  thresholds: profileThresholds(PROFILE),
+  tags: runTags(PROFILE),
+  // Optimizations for long runs
+  noConnectionReuse: true,
+  noVUConnectionReuse: true,
+  discardResponseBodies: true,
+  batch: 10,
+  batchPerHost: 5,
+  gracefulStop: '1m',
+};
+
+export default function() {
+  runJourney(getUser(), PROFILE.journey);
+}
+
+export function setup() {
+  console.log('🕰️ Starting Soak Test');
+  console.log(`📈 Load: ${describeLoadShape(LOAD_PROFILE)}`);
+  console.log(`👤 User pool: ${describeUserPool()}`);
+}
+
+export function teardown(data) {
+  console.log('✅ Soak test completed');
+}
@@ -0,0 +1,67 @@
+import { runJourney } from './lib/journey.js';
+import { getUser, describeUserPool } from './lib/users.js';
+import { readEnv } from './lib/load-shape.js';
+import { loadProfile, profileThresholds, runTags } from './lib/config.js';
+
+/*
+⚡ SPIKE TEST
+
+👥 USERS: 50 baseline → 1500 spike → 50 recovery
+⏱️ DURATION: ~14 minutes total
+🎯 PURPOSE: Sudden surge (ticket release, registration opening) and recovery
+💰 COST: FREE (GitHub Actions) / Moderate (Local)
+
+🔧 KNOBS (--env):
+   BASELINE_VUS       Steady load before and after the spike (default 50)
+   VUS                Spike peak (default 1500)
+   WARM_UP_DURATION   Ramp to the baseline (default 1m)
+   BASELINE_DURATION  Time at baseline before the spike (default 2m)
+   SPIKE_RAMP         Time to jump to peak and back (default 30s)
+   SPIKE_HOLD         Time held at peak (default 3m)
+   RECOVERY_DURATION  Time at baseline after the spike (default 5m)
+   RAMP_DOWN_DURATION Ramp down to zero (default 1m)
+   Defaults come from the spike profile in loadtest.config.json.
+*/
+
+const PROFILE = loadProfile('spike');
+const SPIKE = PROFILE.spike;
+
+const BASELINE = parseInt(readEnv('BASELINE_VUS') || SPIKE.baseline, 10);
+const PEAK = parseInt(readEnv('VUS') || SPIKE.peak, 10);
+const SPIKE_RAMP = readEnv('SPIKE_RAMP') || SPIKE.ramp;
+
+export const options = {
+  stages: [
+    { duration: readEnv('WARM_UP_DURATION') || SPIKE.warmUp, target: BASELINE },         // Warm up
+    { duration: readEnv('BASELINE_DURATION') || SPIKE.baselineHold, target: BASELINE },  // Baseline
+    { duration: SPIKE_RAMP, target: PEAK },                                              // Sudden jump
+    { duration: readEnv('SPIKE_HOLD') || SPIKE.hold, target: PEAK },                     // Hold the spike
+    { duration: SPIKE_RAMP, target: BASELINE },                                          // Drop back
+    { duration: readEnv('RECOVERY_DURATION') || SPIKE.recovery, target: BASELINE },      // Watch recovery
+    { duration: readEnv('RAMP_DOWN_DURATION') || SPIKE.rampDown, target: 0 },            // Ramp down
+  ],
+  // SLO from loadtest.config.json (spikes are allowed to hurt), same budget for every journey step
+  thresholds: profileThresholds(PROFILE),
+  tags: runTags(PROFILE),
+  // Optimizations for both local and GitHub Actions
+  noConnectionReuse: true,
+  noVUConnectionReuse: true,
+  discardResponseBodies: true,
+  batch: 15,
+  batchPerHost: 8,
+  gracefulStop: '30s',
+};
+
+export default function() {
+  runJourney(getUser(), PROFILE.journey);
+}
+
+export function setup() {
+  console.log('⚡ Starting Spike Test');
+  console.log(`📈 Load: ${BASELINE} VUs baseline → ${PEAK} VUs spike in ${SPIKE_RAMP}`);
+  console.log(`👤 User pool: ${describeUserPool()}`);
+}
+
+export function teardown(data) {
+  console.log('✅ Spike test completed');
+}
@@ -2,6 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, resolveProfile, describeSlo } = require('./project-config');
+const { lineChart, barChart, escapeXml } = require('./svg-charts');
 
 /**
  * 🎨 BULLETPROOF HTML SUMMARY GENERATOR
@@ -44,6 +46,28 @@ class BulletproofSummarizer {
     }
   }
 
+  /**
+   * SLO the run is judged against: embedded by the merger, or looked up in the
+   * project config for results merged before it was recorded
+   */
+  resolveSlo() {
+    const config = this.data.testConfiguration || {};
+    if (config.slo) return config.slo;
+    
+    const project = loadConfig();
+    return resolveProfile(project, config.profile || project.defaultProfile).slo;
+  }
+
+  /**
+   * Card colour for an error rate (%): over the SLO is an error, over half of it a warning
+   */
+  errorRateClass(errorRate) {
+    const budget = this.resolveSlo().errorRate * 100;
+    if (parseFloat(errorRate) > budget) return 'error-card';
+    if (parseFloat(errorRate) > budget / 2) return 'warning-card';
+    return 'success-card';
+  }
+
   /**
    * Generate the complete HTML content
    */
@@ -225,6 +249,11 @@ class BulletproofSummarizer {
             color: #721c24;
         }
         
+        .status-warn {
+            background: #fff3cd;
+            color: #856404;
+        }
+        
         .config-grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -318,6 +347,32 @@ class BulletproofSummarizer {
             padding: 10px 8px;
             vertical-align: top;
         }
+        
+        .chart-card {
+            background: #f8f9fa;
+            padding: 20px;
+            border-radius: 10px;
+            margin: 20px 0;
+            page-break-inside: avoid;
+        }
+        
+        .chart-card svg {
+            display: block;
+            height: auto;
+        }
+        
+        table.sortable th {
+            cursor: pointer;
+            user-select: none;
+        }
+        
+        table.sortable th[aria-sort="descending"]::after {
+            content: ' ▼';
+        }
+        
+        table.sortable th[aria-sort="ascending"]::after {
+            content: ' ▲';
+        }
     </style>
 </head>
 <body>
@@ -329,9 +384,16 @@ class BulletproofSummarizer {
         </div>
         
                  <div class="content">
+             ${this.generateInputsNotice()}
+             ${this.generateGeneratorHealthNotice()}
              ${this.generateTestConfigSection()}
              ${this.generateOverviewSection()}
              ${this.generatePerformanceSection()}
+             ${this.generateChartsSection()}
+             ${this.generateStepsSection()}
+             ${this.generateEndpointsSection()}
+             ${this.generateInstancesSection()}
+             ${this.generateRunAnalysisSection()}
              ${this.generateThresholdsSection()}
              ${this.generateChecksSection()}
              ${this.generateErrorsSection()}
@@ -343,18 +405,92 @@ class BulletproofSummarizer {
         </div>
     </div>
     
-         <script>
-         // Charts removed per user request
-     </script>
+    <script>
+        // Click a header of a sortable table to sort by that column (cells carry data-sort values)
+        document.querySelectorAll('table.sortable').forEach(function (table) {
+            table.querySelectorAll('th').forEach(function (header) {
+                header.addEventListener('click', function () {
+                    var column = header.cellIndex;
+                    var descending = header.getAttribute('aria-sort') !== 'descending';
+                    table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+                    header.setAttribute('aria-sort', descending ? 'descending' : 'ascending');
+                    var body = table.tBodies[0];
+                    Array.from(body.rows).sort(function (a, b) {
+                        var x = a.cells[column].dataset.sort;
+                        var y = b.cells[column].dataset.sort;
+                        var order = isNaN(x) || isNaN(y) ? x.localeCompare(y) : x - y;
+                        return descending ? -order : order;
+                    }).forEach(function (row) { body.appendChild(row); });
+                });
+            });
+        });
+    </script>
 </body>
 </html>`;
   }
 
+  /**
+   * "≈ " for values derived from end-of-test summaries rather than samples
+   */
+  approx(metricName) {
+    return this.data.metrics?.[metricName]?.approximate ? '≈ ' : '';
+  }
+
+  /**
+   * Notice listing the inputs that only had end-of-test summaries (k6 --summary-export
+   * / handleSummary), whose statistics are approximate
+   */
+  generateInputsNotice() {
+    const metadata = this.data.metadata || {};
+    if (!metadata.approximate) return '';
+    const summaries = (metadata.inputs || []).filter(input => input.approximate);
+    
+    return `
+    <div class="config-card warning-card" style="border-left-color: #f39c12; margin-bottom: 30px;">
+        <div class="config-title">≈ Approximate statistics</div>
+        <p>${summaries.map(input => `<code>${input.file}</code>`).join(', ')} ${summaries.length === 1 ? 'is an end-of-test summary' : 'are end-of-test summaries'} without individual samples.
+        Values marked ≈ (${(metadata.approximateMetrics || []).join(', ') || 'none'}) are interpolated from the reported percentiles,
+        and thresholds on them are evaluated against those estimates. HTTP status breakdowns, error samples and
+        VU phases only cover the per-request inputs; failures from summaries are counted as "unitemized".</p>
+    </div>`;
+  }
+
+  /**
+   * Banner when the load generators were strained or saturated (see the merger's
+   * analyzeGeneratorHealth): their own slowness is then part of the measured latency
+   */
+  generateGeneratorHealthNotice() {
+    const health = this.data.generatorHealth;
+    if (!health || (health.verdict !== 'warning' && health.verdict !== 'saturated')) return '';
+    const saturated = health.verdict === 'saturated';
+    const flagged = health.signals.filter(signal => signal.level !== 'ok');
+    
+    return `
+    <div class="config-card ${saturated ? 'error-card' : 'warning-card'}" style="border-left-color: ${saturated ? '#e74c3c' : '#f39c12'}; margin-bottom: 30px;">
+        <div class="config-title">${saturated ? '🚨 Load generator saturated: results are not trustworthy' : '⚠️ Load generator under strain'}</div>
+        ${flagged.map(signal => `
+            <div class="metric-row">
+                <span class="metric-label">${escapeXml(signal.signal)}:</span>
+                <span class="metric-value">${signal.level === 'saturated' ? '❌' : '⚠️'} ${escapeXml(signal.detail)}</span>
+            </div>
+        `).join('')}
+        <p style="margin-top: 10px;">${saturated
+          ? 'The generator could not keep up with its own schedule, so latency and throughput below include time spent waiting on the runner. Rerun on larger or more runners before judging the server.'
+          : 'Part of the measured latency may come from the runner rather than the server; compare with the instance breakdown or rerun with more headroom.'}</p>
+    </div>`;
+  }
+
   /**
    * Generate test configuration section
    */
   generateTestConfigSection() {
     const config = this.data.testConfiguration || {};
+    const thresholds = config.thresholds || describeSlo(this.resolveSlo());
+    const observed = config.source === 'observed';
+    const planned = config.planned || {};
+    const plannedNote = (value, plannedValue) => observed && plannedValue !== undefined && `${plannedValue}` !== `${value}`
+      ? ` <span style="opacity: 0.7;">(planned ${plannedValue})</span>`
+      : '';
     
     return `
     <div class="section">
@@ -365,18 +501,32 @@ class BulletproofSummarizer {
         
         <div class="config-grid">
             <div class="config-card">
-                <div class="config-title">Load Configuration</div>
+                <div class="config-title">Load Configuration (${observed ? 'observed' : 'planned, no VU samples'})</div>
+                ${config.profile ? `
+                <div class="metric-row">
+                    <span class="metric-label">Profile:</span>
+                    <span class="metric-value">${config.profile}</span>
+                </div>` : ''}
+                <div class="metric-row">
+                    <span class="metric-label">Peak Users:</span>
+                    <span class="metric-value">${config.totalUsers ?? 'N/A'}${plannedNote(config.totalUsers, planned.totalUsers)}</span>
+                </div>
+                ${config.maxVUs ? `
+                <div class="metric-row">
+                    <span class="metric-label">Allocated VUs (vus_max):</span>
+                    <span class="metric-value">${config.maxVUs}</span>
+                </div>` : ''}
                 <div class="metric-row">
-                    <span class="metric-label">Total Users:</span>
-                    <span class="metric-value">${config.totalUsers || 3000}</span>
+                    <span class="metric-label">Instances:</span>
+                    <span class="metric-value">${config.instanceCount ?? 'N/A'}${plannedNote(config.instanceCount, planned.instances)}</span>
                 </div>
                 <div class="metric-row">
-                    <span class="metric-label">Users per Instance:</span>
-                    <span class="metric-value">${config.usersPerInstance || 1000}</span>
+                    <span class="metric-label">Peak Users per Instance:</span>
+                    <span class="metric-value">${config.usersPerInstance ?? 'N/A'}</span>
                 </div>
                 <div class="metric-row">
                     <span class="metric-label">Test Duration:</span>
-                    <span class="metric-value">${this.data.summary?.testDuration || config.duration}</span>
+                    <span class="metric-value">${config.duration || this.data.summary?.testDuration}${plannedNote(config.duration, planned.duration)}</span>
                 </div>
                 <div class="metric-row">
                     <span class="metric-label">Target Environment:</span>
@@ -388,17 +538,17 @@ class BulletproofSummarizer {
                 <div class="config-title">Performance Thresholds</div>
                 <div class="metric-row">
                     <span class="metric-label">P95 Response Time:</span>
-                    <span class="metric-value">${config.thresholds?.p95Duration || '< 10s'}</span>
+                    <span class="metric-value">${thresholds.p95Duration}</span>
                 </div>
                 <div class="metric-row">
                     <span class="metric-label">Error Rate:</span>
-                    <span class="metric-value">${config.thresholds?.errorRate || '< 40%'}</span>
+                    <span class="metric-value">${thresholds.errorRate}</span>
                 </div>
             </div>
         </div>
         
         <div class="config-card">
-            <div class="config-title">🔄 Load Pattern Phases</div>
+            <div class="config-title">🔄 Load Pattern Phases (${observed ? 'observed from VU samples' : 'planned'})</div>
             ${(config.phases || []).map(phase => `
                 <div class="metric-row">
                     <span class="metric-label">${phase.name}:</span>
@@ -448,6 +598,7 @@ class BulletproofSummarizer {
     
     const actualSuccessRate = totalRequests > 0 ? ((successfulRequests / totalRequests) * 100).toFixed(2) : '0.00';
     const actualErrorRate = totalRequests > 0 ? ((allErrors / totalRequests) * 100).toFixed(2) : '0.00';
+    const errorRateClass = this.errorRateClass(actualErrorRate);
     
     return `
     <div class="section">
@@ -468,19 +619,19 @@ class BulletproofSummarizer {
                 <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">Success + Redirects</div>
             </div>
             
-            <div class="stat-card ${parseFloat(actualErrorRate) > 40 ? 'error-card' : parseFloat(actualErrorRate) > 20 ? 'warning-card' : 'success-card'}">
+            <div class="stat-card ${errorRateClass}">
                 <div class="stat-value">${actualSuccessRate}%</div>
                 <div class="stat-label">Actual Success Rate</div>
                 <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">Including Redirects</div>
             </div>
             
-            <div class="stat-card ${parseFloat(actualErrorRate) > 40 ? 'error-card' : parseFloat(actualErrorRate) > 20 ? 'warning-card' : 'success-card'}">
+            <div class="stat-card ${errorRateClass}">
                 <div class="stat-value">${allErrors.toLocaleString()}</div>
                 <div class="stat-label">Actual Errors</div>
                 <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">4xx/5xx + Network</div>
             </div>
             
-            <div class="stat-card ${parseFloat(actualErrorRate) > 40 ? 'error-card' : parseFloat(actualErrorRate) > 20 ? 'warning-card' : 'success-card'}">
+            <div class="stat-card ${errorRateClass}">
                 <div class="stat-value">${actualErrorRate}%</div>
                 <div class="stat-label">Actual Error Rate</div>
                 <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">Excludes Redirects</div>
@@ -496,6 +647,24 @@ class BulletproofSummarizer {
                 <div class="stat-label">Total Iterations</div>
             </div>
             
+            <div class="stat-card ${(summary.droppedIterations || 0) > 0 ? 'error-card' : 'success-card'}">
+                <div class="stat-value">${(summary.droppedIterations || 0).toLocaleString()}</div>
+                <div class="stat-label">Dropped Iterations</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">${(summary.droppedIterations || 0) > 0 ? 'Generator Could Not Keep Up' : 'Arrival Rate Sustained'}</div>
+            </div>
+            
+            <div class="stat-card">
+                <div class="stat-value">${(summary.distinctUsers || 0).toLocaleString()}</div>
+                <div class="stat-label">Distinct Accounts</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">From User Pool</div>
+            </div>
+            
+            <div class="stat-card ${(summary.sessionReauthentications || 0) > 0 ? 'warning-card' : ''}">
+                <div class="stat-value">${(summary.sessionReauthentications || 0).toLocaleString()}</div>
+                <div class="stat-label">Session Re-logins</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">Session Lost: ${summary.sessionLossRate || '0.00%'}</div>
+            </div>
+            
             <div class="stat-card">
                 <div class="stat-value">${summary.testDuration || 'Unknown'}</div>
                 <div class="stat-label">Test Duration</div>
@@ -541,6 +710,9 @@ class BulletproofSummarizer {
     const performance = this.data.performance || {};
     const httpReq = performance.httpReqDuration || {};
     const iteration = performance.iterationDuration || {};
+    const slo = this.resolveSlo();
+    const approx = this.approx('http_req_duration');
+    const approxIteration = this.approx('iteration_duration');
     
     return `
     <div class="section">
@@ -551,7 +723,7 @@ class BulletproofSummarizer {
         
         <div class="stats-grid">
             <div class="stat-card">
-                <div class="stat-value">${httpReq.avg || '0'} ms</div>
+                <div class="stat-value">${approx}${httpReq.avg || '0'} ms</div>
                 <div class="stat-label">Average Response Time</div>
             </div>
             
@@ -566,33 +738,348 @@ class BulletproofSummarizer {
             </div>
             
             <div class="stat-card warning-card">
-                <div class="stat-value">${httpReq.p90 || '0'} ms</div>
+                <div class="stat-value">${approx}${httpReq.p90 || '0'} ms</div>
                 <div class="stat-label">P90 Response Time</div>
             </div>
             
-            <div class="stat-card ${(parseFloat(httpReq.p95) || 0) > 10000 ? 'error-card' : 'success-card'}">
-                <div class="stat-value">${httpReq.p95 || '0'} ms</div>
+            <div class="stat-card ${(parseFloat(httpReq.p95) || 0) > slo.p95 ? 'error-card' : 'success-card'}">
+                <div class="stat-value">${approx}${httpReq.p95 || '0'} ms</div>
                 <div class="stat-label">P95 Response Time</div>
             </div>
             
             <div class="stat-card error-card">
-                <div class="stat-value">${httpReq.p99 || '0'} ms</div>
+                <div class="stat-value">${approx}${httpReq.p99 || '0'} ms</div>
                 <div class="stat-label">P99 Response Time</div>
             </div>
             
             <div class="stat-card">
-                <div class="stat-value">${iteration.avg || '0'} ms</div>
+                <div class="stat-value">${approxIteration}${iteration.avg || '0'} ms</div>
                 <div class="stat-label">Avg Iteration Duration</div>
             </div>
             
             <div class="stat-card">
-                <div class="stat-value">${iteration.p95 || '0'} ms</div>
+                <div class="stat-value">${approxIteration}${iteration.p95 || '0'} ms</div>
                 <div class="stat-label">P95 Iteration Duration</div>
             </div>
         </div>
     </div>`;
   }
 
+  /**
+   * Charts over the merged time series (latency, throughput vs VUs, error rate)
+   * and the status code mix, as inline SVG so they need no script and print in the PDF
+   */
+  generateChartsSection() {
+    const buckets = this.data.timeseries?.buckets || [];
+    const slo = this.resolveSlo();
+    const chart = (title, svg) => `
+        <div class="chart-card">
+            <div class="config-title">${title}</div>
+            ${svg}
+        </div>`;
+    
+    // Each bucket is plotted at its middle
+    const x = buckets.map(bucket => bucket.offsetSeconds + bucket.seconds / 2);
+    const latency = (field) => buckets.map(bucket => bucket.latency ? bucket.latency[field] : null);
+    const timeCharts = buckets.length > 0 ? [
+      chart(`⏱️ Latency Percentiles Over Time (${this.data.timeseries.bucketSeconds}s buckets)`, lineChart({
+        title: 'Response time percentiles over time',
+        x: x,
+        yLabel: 'ms',
+        series: [
+          { label: 'p50', color: '#3498db', values: latency('p50') },
+          { label: 'p95', color: '#f39c12', values: latency('p95') },
+          { label: 'p99', color: '#e74c3c', values: latency('p99') }
+        ],
+        markers: [{ label: 'SLO p95', color: '#c0392b', value: slo.p95 }]
+      })),
+      chart('🚀 Throughput vs Active VUs', lineChart({
+        title: 'Requests per second and active virtual users over time',
+        x: x,
+        yLabel: 'req/s',
+        yRightLabel: 'VUs',
+        series: [
+          { label: 'RPS', color: '#3498db', values: buckets.map(bucket => bucket.rps), area: true },
+          { label: 'VUs', color: '#8e44ad', values: buckets.map(bucket => bucket.vus), axis: 'right' }
+        ]
+      })),
+      chart('❌ Error Rate Over Time', lineChart({
+        title: 'Share of failed requests over time',
+        x: x,
+        yLabel: '% failed',
+        series: [
+          { label: 'Error rate', color: '#e74c3c', values: buckets.map(bucket => bucket.requests > 0 ? bucket.errorRate : null), area: true }
+        ],
+        markers: [{ label: 'SLO', color: '#c0392b', value: slo.errorRate * 100 }]
+      }))
+    ].join('') : '<p>No time series in these results (merged from end-of-test summaries only, or by an older merger).</p>';
+    
+    const statusColor = (status) => /^2/.test(status) ? '#27ae60'
+      : /^3/.test(status) ? '#3498db'
+      : /^4/.test(status) ? '#f39c12'
+      : /^5/.test(status) ? '#e74c3c'
+      : '#7f8c8d';
+    const statusBars = Object.entries(this.data.errors?.byStatus || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([status, count]) => ({
+        label: status === '0' ? '0 (network)' : `HTTP ${status}`,
+        value: count,
+        color: statusColor(status)
+      }));
+    
+    return `
+    <div class="section">
+        <h2 class="section-title">
+            <span class="icon">🕒</span>
+            Trends Over Time
+        </h2>
+        ${timeCharts}
+        ${statusBars.length > 0 ? chart('📊 HTTP Status Distribution', barChart({ title: 'Requests by HTTP status', bars: statusBars })) : ''}
+    </div>`;
+  }
+
+  /**
+   * Generate per-step latency and error section
+   */
+  generateStepsSection() {
+    const steps = this.data.performance?.steps || [];
+    
+    return `
+    <div class="section">
+        <h2 class="section-title">
+            <span class="icon">🧭</span>
+            Per-Step Latency
+        </h2>
+        
+        ${steps.length > 0 ? `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Step</th>
+                        <th>Requests</th>
+                        <th>Avg</th>
+                        <th>P90</th>
+                        <th>P95</th>
+                        <th>P99</th>
+                        <th>Max</th>
+                        <th>Error Rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${steps.map(step => `
+                        <tr>
+                            <td><strong>${step.step.replace(/_/g, ' ')}</strong></td>
+                            <td>${step.requests.toLocaleString()}</td>
+                            <td>${step.approximate ? '≈ ' : ''}${step.avg} ms</td>
+                            <td>${step.approximate ? '≈ ' : ''}${step.p90} ms</td>
+                            <td>${step.approximate ? '≈ ' : ''}${step.p95} ms</td>
+                            <td>${step.approximate ? '≈ ' : ''}${step.p99} ms</td>
+                            <td>${step.max} ms</td>
+                            <td style="color: ${parseFloat(step.errorRate) > 0 ? '#e74c3c' : '#27ae60'};"><strong>${step.errorRate}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : '<p>No per-step data available.</p>'}
+    </div>`;
+  }
+
+  /**
+   * Per-endpoint table (method + name tag or normalized URL), busiest first and
+   * sortable by any column; static in the PDF
+   */
+  generateEndpointsSection() {
+    const endpoints = this.data.endpoints || [];
+    if (endpoints.length === 0) return '';
+    const slo = this.resolveSlo();
+    const latency = (endpoint, field) => endpoint.latency ? endpoint.latency[field] : null;
+    const cell = (value, text, style = '') => `<td data-sort="${value ?? -1}"${style}>${text}</td>`;
+    const ms = (value) => value === null ? 'N/A' : `${value.toFixed(2)} ms`;
+    
+    return `
+    <div class="section">
+        <h2 class="section-title">
+            <span class="icon">🔗</span>
+            Per-Endpoint Breakdown
+        </h2>
+        
+        <div class="table-container">
+            <table class="sortable">
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        <th>Endpoint</th>
+                        <th aria-sort="descending">Requests</th>
+                        <th>Error Rate</th>
+                        <th>Avg</th>
+                        <th>P95</th>
+                        <th>P99</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${endpoints.map(endpoint => `
+                        <tr>
+                            ${cell(escapeXml(endpoint.method), `<code>${escapeXml(endpoint.method || '-')}</code>`)}
+                            ${cell(escapeXml(endpoint.endpoint), `<code>${escapeXml(endpoint.endpoint)}</code>${endpoint.url ? `<div style="font-size: 0.85em; opacity: 0.7;">${escapeXml(endpoint.url)}</div>` : ''}`, ' class="url-cell"')}
+                            ${cell(endpoint.requests, endpoint.requests.toLocaleString())}
+                            ${cell(endpoint.errorRate, `<strong>${endpoint.errorRate.toFixed(2)}%</strong> (${endpoint.errors.toLocaleString()})`, ` style="color: ${endpoint.errorRate / 100 > slo.errorRate ? '#e74c3c' : '#27ae60'};"`)}
+                            ${cell(latency(endpoint, 'avg'), ms(latency(endpoint, 'avg')))}
+                            ${cell(latency(endpoint, 'p95'), ms(latency(endpoint, 'p95')), latency(endpoint, 'p95') > slo.p95 ? ' style="color: #e74c3c;"' : '')}
+                            ${cell(latency(endpoint, 'p99'), ms(latency(endpoint, 'p99')))}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    </div>`;
+  }
+
+  /**
+   * Generators side by side with the combined result; instances whose p95 or error
+   * rate diverges from the others are flagged, since they skew the combined numbers
+   */
+  generateInstancesSection() {
+    const instances = this.data.instances || [];
+    if (instances.length < 2) return '';
+    const summary = this.data.summary || {};
+    const httpReq = this.data.performance?.httpReqDuration || {};
+    const divergent = instances.filter(instance => instance.divergent);
+    const latency = (instance, field) => instance.latency ? instance.latency[field] : null;
+    const cell = (value, text, style = '') => `<td data-sort="${value ?? -1}"${style}>${text}</td>`;
+    const ms = (instance, field) => latency(instance, field) === null ? 'N/A' : `${instance.approximate && field !== 'max' ? '≈ ' : ''}${latency(instance, field).toFixed(2)} ms`;
+    
+    return `
+    <div class="section">
+        <h2 class="section-title">
+            <span class="icon">🖥️</span>
+            Instance Comparison
+        </h2>
+        
+        ${divergent.length > 0 ? `
+        <div class="config-card error-card" style="border-left-color: #e74c3c; margin-bottom: 20px;">
+            <div class="config-title">⚠️ ${divergent.length} of ${instances.length} instances diverge from the others</div>
+            ${divergent.map(instance => `
+                <div class="metric-row">
+                    <span class="metric-label">${escapeXml(instance.instance)}:</span>
+                    <span class="metric-value">${instance.divergence.map(escapeXml).join('; ')}</span>
+                </div>
+            `).join('')}
+            <p style="margin-top: 10px;">The combined numbers include these generators; check them for CPU, memory or network limits before reading the result as server behaviour.</p>
+        </div>
+        ` : ''}
+        
+        <div class="table-container">
+            <table class="sortable">
+                <thead>
+                    <tr>
+                        <th>Instance</th>
+                        <th>Requests</th>
+                        <th>Req/s</th>
+                        <th>Peak VUs</th>
+                        <th>Error Rate</th>
+                        <th>Avg</th>
+                        <th>P95</th>
+                        <th>P99</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${instances.map(instance => `
+                        <tr>
+                            ${cell(escapeXml(instance.instance), `<strong>${escapeXml(instance.instance)}</strong>`)}
+                            ${cell(instance.requests, instance.requests.toLocaleString())}
+                            ${cell(instance.rps, instance.rps ?? 'N/A')}
+                            ${cell(instance.peakVUs, instance.peakVUs.toLocaleString())}
+                            ${cell(instance.errorRate, `${instance.errorRate.toFixed(2)}%`)}
+                            ${cell(latency(instance, 'avg'), ms(instance, 'avg'))}
+                            ${cell(latency(instance, 'p95'), ms(instance, 'p95'))}
+                            ${cell(latency(instance, 'p99'), ms(instance, 'p99'))}
+                            ${cell(instance.divergent ? 1 : 0, `<span class="status-badge ${instance.divergent ? 'status-fail' : 'status-pass'}">${instance.divergent ? '⚠️ Diverges' : '✅ In line'}</span>`)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr style="background: #ecf0f1; font-weight: bold;">
+                        <td>All instances</td>
+                        <td>${(summary.totalRequests || 0).toLocaleString()}</td>
+                        <td>${summary.requestsPerSecond || '0'}</td>
+                        <td>${(summary.peakVUs || 0).toLocaleString()}</td>
+                        <td>${summary.errorRate || '0.00%'}</td>
+                        <td>${this.approx('http_req_duration')}${httpReq.avg || '0'} ms</td>
+                        <td>${this.approx('http_req_duration')}${httpReq.p95 || '0'} ms</td>
+                        <td>${this.approx('http_req_duration')}${httpReq.p99 || '0'} ms</td>
+                        <td></td>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+    </div>`;
+  }
+
+  /**
+   * Generate breakpoint and latency drift section (spike/soak/breakpoint profiles)
+   */
+  generateRunAnalysisSection() {
+    const drift = this.data.drift;
+    const breakpoint = this.data.breakpoint;
+    if (!drift && !breakpoint) return '';
+    
+    const driftClass = drift?.verdict === 'degrading' ? 'error-card' : drift?.verdict === 'improving' ? 'warning-card' : 'success-card';
+    
+    return `
+    <div class="section">
+        <h2 class="section-title">
+            <span class="icon">📉</span>
+            Run Analysis
+        </h2>
+        
+        <div class="stats-grid">
+            ${breakpoint?.broke ? `
+            <div class="stat-card error-card">
+                <div class="stat-value">${breakpoint.brokeAtVUs.toLocaleString()}</div>
+                <div class="stat-label">Breaking Point (VUs)</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">SLO crossed ${new Date(breakpoint.brokeAt).toLocaleTimeString()}, stopped ${new Date(breakpoint.stoppedAt).toLocaleTimeString()}</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">${breakpoint.failedThresholds.map(escapeXml).join(', ')}</div>
+            </div>
+            ` : ''}
+            ${breakpoint && !breakpoint.broke ? `
+            <div class="stat-card success-card">
+                <div class="stat-value">${breakpoint.maxVUs.toLocaleString()}</div>
+                <div class="stat-label">Peak VUs (No Break)</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">Did not break within the ramp</div>
+            </div>
+            ` : ''}
+            ${drift ? `
+            <div class="stat-card ${driftClass}">
+                <div class="stat-value">${drift.latencyDrift}</div>
+                <div class="stat-label">Latency Drift</div>
+                <div style="font-size: 0.8em; margin-top: 5px; opacity: 0.8;">${drift.verdict.toUpperCase()}</div>
+            </div>
+            ` : ''}
+        </div>
+        
+        ${drift ? `
+        <div class="config-card">
+            <div class="config-title">🕰️ Steady-State Drift (${drift.windowMinutes} minutes, ramps trimmed)</div>
+            <div class="metric-row">
+                <span class="metric-label">Avg Latency (start → end):</span>
+                <span class="metric-value">${drift.startLatency} ms → ${drift.endLatency} ms</span>
+            </div>
+            <div class="metric-row">
+                <span class="metric-label">Trend:</span>
+                <span class="metric-value">${drift.slopeMsPerHour} ms/hour</span>
+            </div>
+            <div class="metric-row">
+                <span class="metric-label">Error Rate (first → last third):</span>
+                <span class="metric-value">${drift.errorRateStart} → ${drift.errorRateEnd}</span>
+            </div>
+        </div>
+        ` : ''}
+    </div>`;
+  }
+
   /**
    * Generate thresholds section
    */
@@ -622,8 +1109,8 @@ class BulletproofSummarizer {
                         <tr>
                             <td><strong>${threshold.name}</strong></td>
                             <td><code>${threshold.condition}</code></td>
-                            <td><code>${threshold.value}</code></td>
-                            <td><span class="status-badge ${threshold.status.includes('Pass') ? 'status-pass' : 'status-fail'}">${threshold.status}</span></td>
+                            <td><code>${threshold.approximate ? '≈ ' : ''}${threshold.value}</code></td>
+                            <td><span class="status-badge ${threshold.status.includes('Pass') ? 'status-pass' : threshold.status.includes('No data') ? 'status-warn' : 'status-fail'}">${threshold.status}</span></td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -919,4 +1406,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { generateSummary }; 
\ No newline at end of file
+module.exports = { generateSummary, BulletproofSummarizer }; 
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * 📈 INLINE SVG CHARTS
+ *
+ * Dependency-free charts for the HTML summary. They are rendered to SVG markup
+ * here, so the report needs no CDN or script, works offline and prints the same
+ * in the Puppeteer PDF as on screen.
+ *
+ *   lineChart   time on the x axis, one or two y axes, optional threshold markers
+ *   barChart    horizontal bars with count and share labels
+ */
+
+const WIDTH = 720;
+const LINE_HEIGHT = 280;
+const BAR_HEIGHT = 30;
+const FONT = "font-family=\"-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif\" font-size=\"11\"";
+
+// Tick spacing for elapsed time, in seconds
+const TIME_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 10800, 21600, 43200, 86400];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round an axis maximum up to 1, 2, 2.5 or 5 × 10^n, split into `ticks` steps
+ */
+function niceScale(max, ticks = 5) {
+  if (!(max > 0)) return { max: 1, step: 1 / ticks };
+  const rough = max / ticks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  return { max: step * ticks, step: step };
+}
+
+function formatNumber(value) {
+  if (value >= 10000) return `${+(value / 1000).toFixed(1)}k`;
+  return `${+value.toFixed(value < 10 ? 2 : 0)}`;
+}
+
+function formatElapsed(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.round(seconds % 60);
+  if (h) return m ? `${h}h${m}m` : `${h}h`;
+  if (m) return s ? `${m}m${s}s` : `${m}m`;
+  return `${s}s`;
+}
+
+function legend(entries, x, y) {
+  let offset = 0;
+  return entries.map(entry => {
+    const swatch = entry.dashed
+      ? `<line x1="${x + offset}" x2="${x + offset + 12}" y1="${y - 4}" y2="${y - 4}" stroke="${entry.color}" stroke-width="2" stroke-dasharray="4 2"/>`
+      : `<rect x="${x + offset}" y="${y - 9}" width="12" height="10" fill="${entry.color}"/>`;
+    const item = `${swatch}<text x="${x + offset + 17}" y="${y}" fill="#2c3e50">${escapeXml(entry.label)}</text>`;
+    offset += 30 + entry.label.length * 6.5;
+    return item;
+  }).join('');
+}
+
+/**
+ * Runs of consecutive points, split wherever a value is missing (null)
+ */
+function segments(points) {
+  const runs = [[]];
+  for (const point of points) {
+    if (point === null) {
+      if (runs[runs.length - 1].length > 0) runs.push([]);
+    } else {
+      runs[runs.length - 1].push(point);
+    }
+  }
+  return runs.filter(run => run.length > 0);
+}
+
+const pathThrough = (run) => run.map((point, index) => `${index === 0 ? 'M' : 'L'}${point[0].toFixed(1)},${point[1].toFixed(1)}`).join('');
+
+/**
+ * Line chart over elapsed seconds
+ *
+ * @param {Object} chart
+ * @param {string} chart.title - accessible name
+ * @param {number[]} chart.x - elapsed seconds of each point
+ * @param {Array} chart.series - { label, color, values (null = gap), axis: 'left'|'right', area? }
+ * @param {string} chart.yLabel - left axis unit
+ * @param {string} [chart.yRightLabel] - right axis unit, for series on the right axis
+ * @param {Array} [chart.markers] - { label, color, value } horizontal lines on the left axis,
+ *                                  drawn only when inside the data's range
+ */
+function lineChart({ title, x, series, yLabel, yRightLabel, markers = [] }) {
+  const right = series.some(line => line.axis === 'right');
+  const plot = { left: 60, right: WIDTH - (right ? 60 : 20), top: 34, bottom: LINE_HEIGHT - 36 };
+  const xMin = Math.min(...x);
+  const xMax = Math.max(...x, xMin + 1);
+  const maxOf = (axis) => Math.max(0, ...series
+    .filter(line => (line.axis || 'left') === axis)
+    .flatMap(line => line.values.filter(value => value !== null)));
+  const leftScale = niceScale(maxOf('left'));
+  const rightScale = niceScale(maxOf('right'));
+
+  const px = (value) => plot.left + ((value - xMin) / (xMax - xMin)) * (plot.right - plot.left);
+  const py = (value, scale) => plot.bottom - (value / scale.max) * (plot.bottom - plot.top);
+
+  const grid = [];
+  for (let tick = 0; tick <= leftScale.max + leftScale.step / 2; tick += leftScale.step) {
+    const y = py(tick, leftScale).toFixed(1);
+    grid.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}" stroke="#e1e5e8"/>`);
+    grid.push(`<text x="${plot.left - 6}" y="${y}" dy="4" text-anchor="end" fill="#7f8c8d">${formatNumber(tick)}</text>`);
+  }
+  if (right) {
+    for (let tick = 0; tick <= rightScale.max + rightScale.step / 2; tick += rightScale.step) {
+      grid.push(`<text x="${plot.right + 6}" y="${py(tick, rightScale).toFixed(1)}" dy="4" fill="#7f8c8d">${formatNumber(tick)}</text>`);
+    }
+  }
+  const timeStep = TIME_STEPS.find(step => (xMax - xMin) / step <= 8) || TIME_STEPS[TIME_STEPS.length - 1];
+  for (let tick = Math.ceil(xMin / timeStep) * timeStep; tick <= xMax; tick += timeStep) {
+    const xPosition = px(tick).toFixed(1);
+    grid.push(`<line x1="${xPosition}" x2="${xPosition}" y1="${plot.bottom}" y2="${plot.bottom + 4}" stroke="#7f8c8d"/>`);
+    grid.push(`<text x="${xPosition}" y="${plot.bottom + 17}" text-anchor="middle" fill="#7f8c8d">${formatElapsed(tick)}</text>`);
+  }
+
+  const lines = series.map(line => {
+    const scale = line.axis === 'right' ? rightScale : leftScale;
+    const points = line.values.map((value, index) => value === null ? null : [px(x[index]), py(value, scale)]);
+    const runs = segments(points);
+    const areas = line.area
+      ? runs.map(run => `<path d="${pathThrough(run)}L${run[run.length - 1][0].toFixed(1)},${plot.bottom}L${run[0][0].toFixed(1)},${plot.bottom}Z" fill="${line.color}" fill-opacity="0.15"/>`).join('')
+      : '';
+    return `${areas}${runs.map(run => `<path d="${pathThrough(run)}" fill="none" stroke="${line.color}" stroke-width="2" stroke-linejoin="round"/>`).join('')}`;
+  }).join('');
+
+  const shownMarkers = markers.filter(marker => marker.value > 0 && marker.value <= leftScale.max);
+  const markerLines = shownMarkers.map(marker => {
+    const y = py(marker.value, leftScale).toFixed(1);
+    return `<line x1="${plot.left}" x2="${plot.right}" y1="${y}" y2="${y}" stroke="${marker.color}" stroke-width="1.5" stroke-dasharray="6 4"/>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${LINE_HEIGHT}" width="100%" role="img" aria-label="${escapeXml(title)}" ${FONT}>
+    <title>${escapeXml(title)}</title>
+    ${grid.join('')}
+    <line x1="${plot.left}" x2="${plot.right}" y1="${plot.bottom}" y2="${plot.bottom}" stroke="#7f8c8d"/>
+    ${lines}
+    ${markerLines}
+    <text x="${plot.left}" y="${plot.top - 12}" fill="#7f8c8d">${escapeXml(yLabel)}</text>
+    ${right ? `<text x="${plot.right}" y="${plot.top - 12}" text-anchor="end" fill="#7f8c8d">${escapeXml(yRightLabel || '')}</text>` : ''}
+    ${legend([...series, ...shownMarkers.map(marker => ({ ...marker, dashed: true }))], plot.left + 90, plot.top - 12)}
+    <text x="${(plot.left + plot.right) / 2}" y="${LINE_HEIGHT - 4}" text-anchor="middle" fill="#7f8c8d">elapsed time</text>
+  </svg>`;
+}
+
+/**
+ * Horizontal bar chart
+ *
+ * @param {Object} chart
+ * @param {string} chart.title - accessible name
+ * @param {Array} chart.bars - { label, value, color }
+ */
+function barChart({ title, bars }) {
+  const total = bars.reduce((sum, bar) => sum + bar.value, 0);
+  const largest = Math.max(1, ...bars.map(bar => bar.value));
+  const height = bars.length * BAR_HEIGHT + 10;
+  const plot = { left: 150, right: WIDTH - 130 };
+
+  const rows = bars.map((bar, index) => {
+    const y = 5 + index * BAR_HEIGHT;
+    const width = Math.max(1, (bar.value / largest) * (plot.right - plot.left));
+    const share = total > 0 ? ((bar.value / total) * 100).toFixed(1) : '0.0';
+    return `
+      <text x="${plot.left - 8}" y="${y + 15}" text-anchor="end" fill="#2c3e50">${escapeXml(bar.label)}</text>
+      <rect x="${plot.left}" y="${y + 3}" width="${width.toFixed(1)}" height="${BAR_HEIGHT - 10}" rx="3" fill="${bar.color}"/>
+      <text x="${(plot.left + width + 6).toFixed(1)}" y="${y + 15}" fill="#7f8c8d">${bar.value.toLocaleString()} (${share}%)</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${height}" width="100%" role="img" aria-label="${escapeXml(title)}" ${FONT}>
+    <title>${escapeXml(title)}</title>
+    ${rows}
+  </svg>`;
+}
+
+module.exports = {
+  escapeXml,
+  niceScale,
+  lineChart,
+  barChart
+};
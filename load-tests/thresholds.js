@@ -0,0 +1,184 @@
+/**
+ * 🎯 K6-STYLE THRESHOLD EVALUATION
+ *
+ * Parses threshold definitions in k6's own format and checks them against
+ * merged statistics, so the report's pass/fail is the one the profile promised:
+ *
+ *   {
+ *     "http_req_duration": ["p(95)<8000"],
+ *     "http_req_failed": [{ "threshold": "rate<0.3", "abortOnFail": true }],
+ *     "http_req_duration{step:login_submit}": ["p(99)<12000", "avg<4000"],
+ *     "http_reqs": ["count>1000"]
+ *   }
+ *
+ * Aggregations follow k6: avg, min, max, med, p(N) for trends, rate for rates
+ * (share of non-zero samples) and counters (per second), count for counters
+ * and value for gauges (last sample).
+ */
+
+const EXPRESSION = /^\s*(avg|min|max|med|count|rate|value|p\(\s*\d+(?:\.\d+)?\s*\))\s*(<=|>=|===|==|!=|<|>)\s*(-?\d+(?:\.\d+)?(?:e-?\d+)?)\s*$/;
+
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '===': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Parse "p(95)<8000" into { aggregation, percentile?, operator, target }
+ */
+function parseThreshold(expression) {
+  const match = EXPRESSION.exec(expression);
+  if (!match) {
+    throw new Error(`Invalid threshold expression: "${expression}"`);
+  }
+
+  const [, aggregation, operator, target] = match;
+  const percentile = aggregation.startsWith('p(') ? parseFloat(aggregation.slice(2, -1)) : null;
+  if (percentile !== null && (percentile < 0 || percentile > 100)) {
+    throw new Error(`Percentile out of range in threshold: "${expression}"`);
+  }
+
+  return {
+    expression: expression.trim(),
+    aggregation: percentile !== null ? 'percentile' : aggregation,
+    percentile: percentile,
+    operator: operator,
+    target: parseFloat(target)
+  };
+}
+
+/**
+ * Parse "http_req_duration{step:login_submit,method:POST}" into { metric, tags }
+ */
+function parseMetricKey(key) {
+  const match = /^([^{}]+?)\s*(?:\{(.*)\})?\s*$/.exec(key);
+  if (!match) {
+    throw new Error(`Invalid threshold metric: "${key}"`);
+  }
+
+  const tags = {};
+  if (match[2] !== undefined && match[2].trim() !== '') {
+    for (const pair of match[2].split(',')) {
+      const separator = pair.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid tag filter "${pair}" in threshold metric "${key}"`);
+      }
+      tags[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  }
+
+  return { key: key, metric: match[1].trim(), tags: tags };
+}
+
+/**
+ * Flatten a k6 thresholds object into a validated list of definitions
+ */
+function parseThresholdSet(thresholds = {}) {
+  const definitions = [];
+
+  for (const [key, entries] of Object.entries(thresholds)) {
+    const target = parseMetricKey(key);
+    for (const entry of Array.isArray(entries) ? entries : [entries]) {
+      const expression = typeof entry === 'string' ? entry : entry && entry.threshold;
+      if (!expression) {
+        throw new Error(`Threshold for "${key}" needs an expression or { threshold }`);
+      }
+      definitions.push({
+        ...target,
+        ...parseThreshold(expression),
+        abortOnFail: Boolean(entry.abortOnFail)
+      });
+    }
+  }
+
+  return definitions;
+}
+
+/**
+ * Merge threshold sets; later sets add expressions to the same metric key
+ */
+function mergeThresholdSets(...sets) {
+  const merged = {};
+  for (const set of sets) {
+    for (const [key, entries] of Object.entries(set || {})) {
+      const list = Array.isArray(entries) ? entries : [entries];
+      const expressions = new Set((merged[key] || []).map(entry => typeof entry === 'string' ? entry : entry.threshold));
+      merged[key] = (merged[key] || []).concat(list.filter(entry => !expressions.has(typeof entry === 'string' ? entry : entry.threshold)));
+    }
+  }
+  return merged;
+}
+
+/**
+ * Observed value of a definition's aggregation
+ *
+ * @param {Object} definition - from parseThresholdSet
+ * @param {Object} stats - { type: trend|rate|counter|gauge, count, sum, min, max, nonZero,
+ *                           last, quantile(q), durationSec, approximate? }
+ */
+function aggregate(definition, stats) {
+  if (!stats || stats.count === 0) return null;
+
+  switch (definition.aggregation) {
+    case 'avg': return stats.sum / stats.count;
+    case 'min': return stats.min;
+    case 'max': return stats.max;
+    case 'med': return stats.quantile(0.5);
+    case 'percentile': return stats.quantile(definition.percentile / 100);
+    case 'count': return stats.type === 'counter' ? stats.sum : stats.count;
+    case 'value': return stats.last;
+    case 'rate':
+      if (stats.type === 'counter') {
+        return stats.durationSec > 0 ? stats.sum / stats.durationSec : null;
+      }
+      return stats.nonZero / stats.count;
+    default: return null;
+  }
+}
+
+/**
+ * Evaluate every definition; resolveStats(definition) supplies the merged statistics
+ */
+function evaluateThresholds(definitions, resolveStats) {
+  return definitions.map(definition => {
+    const stats = resolveStats(definition);
+    const value = aggregate(definition, stats);
+    // null when there were no samples: reported, but neither a pass nor a failure
+    const passed = value === null ? null : OPERATORS[definition.operator](value, definition.target);
+
+    return {
+      name: definition.key,
+      condition: definition.expression,
+      value: formatValue(definition, stats, value),
+      status: value === null ? '⚠️ No data' : passed ? '✅ Pass' : '❌ Fail',
+      passed: passed,
+      abortOnFail: definition.abortOnFail,
+      // Evaluated against statistics rebuilt from end-of-test summaries
+      ...(stats && stats.approximate && { approximate: true })
+    };
+  });
+}
+
+function formatValue(definition, stats, value) {
+  if (value === null) return 'no samples';
+  if (definition.aggregation === 'rate' && stats.type !== 'counter') {
+    return `${value.toFixed(4)} (${(value * 100).toFixed(2)}%)`;
+  }
+  if (definition.aggregation === 'rate') return `${value.toFixed(2)}/s`;
+  if (definition.aggregation === 'count') return `${value}`;
+  return stats.type === 'trend' && stats.isTime ? `${value.toFixed(2)} ms` : `${+value.toFixed(4)}`;
+}
+
+module.exports = {
+  parseThreshold,
+  parseMetricKey,
+  parseThresholdSet,
+  mergeThresholdSets,
+  aggregate,
+  evaluateThresholds
+};
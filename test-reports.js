@@ -2,8 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
-const { mergeLargeResults } = require('./load-tests/mergeLargeResults-bulletproof');
+const zlib = require('zlib');
+const { mergeLargeResults, BulletproofResultMerger } = require('./load-tests/mergeLargeResults-bulletproof');
 const { generateSummary } = require('./load-tests/summarize-bulletproof');
+const { QuantileSketch } = require('./load-tests/quantile-sketch');
 
 /**
  * 🧪 TEST REPORT GENERATION
@@ -43,28 +45,305 @@ async function testReportGeneration() {
     // Test 1: Merge script
     console.log('\n🧪 Test 1: Testing merge script...');
     const mergedFile = path.join(testDir, 'combined-results.json');
-    const mergeResult = await mergeLargeResults(testFiles, mergedFile);
+    const mergeResult = await mergeLargeResults(testFiles, mergedFile, {
+      thresholds: {
+        'http_req_duration{step:login_submit}': ['p(95)<400', 'max>10000'],
+        'http_reqs': ['count>=3000']
+      }
+    });
     
     console.log('✅ Merge test passed!');
     console.log(`📊 Results: ${mergeResult.summary.totalRequests} requests, ${mergeResult.summary.totalErrors} errors`);
     
-    // Test 2: Summarize script
-    console.log('\n🧪 Test 2: Testing summarize script...');
+    const mergedData = JSON.parse(fs.readFileSync(mergedFile, 'utf8'));
+    if (mergedData.performance.steps.length !== 4) {
+      throw new Error(`Expected 4 journey steps, got ${mergedData.performance.steps.length}`);
+    }
+    
+    if (mergeResult.summary.distinctUsers !== 15) {
+      throw new Error(`Expected 15 distinct accounts, got ${mergeResult.summary.distinctUsers}`);
+    }
+    
+    // Every request counts once in the status breakdown, and failures once as errors
+    const statusTotal = Object.values(mergedData.errors.byStatus).reduce((sum, count) => sum + count, 0);
+    const failedRequests = Math.round(mergedData.metrics.http_req_failed.sum);
+    if (statusTotal !== 3000 || statusTotal !== mergedData.metrics.http_reqs.count || mergedData.summary.totalRequests !== 3000) {
+      throw new Error(`Status breakdown counts ${statusTotal} requests, http_reqs has ${mergedData.metrics.http_reqs.count}`);
+    }
+    if (mergedData.summary.totalErrors !== failedRequests ||
+        mergedData.errors.byType.reduce((sum, error) => sum + error.count, 0) !== failedRequests ||
+        mergedData.errors.samples.length !== Math.min(20, failedRequests)) {
+      throw new Error(`Expected ${failedRequests} failed requests, got ${mergedData.summary.totalErrors} (${JSON.stringify(mergedData.errors.byType)})`);
+    }
+    
+    // Profile thresholds (2 global + 8 per-step) plus the extra ones above, per tag where filtered
+    const thresholdResults = mergedData.performance.thresholdResults;
+    const byCondition = (name, condition) => thresholdResults.find(result => result.name === name && result.condition === condition);
+    if (thresholdResults.length !== 13) {
+      throw new Error(`Expected 13 threshold results, got ${thresholdResults.length}`);
+    }
+    if (!byCondition('http_req_duration{step:login_submit}', 'p(95)<400')?.passed ||
+        byCondition('http_req_duration{step:login_submit}', 'max>10000')?.passed !== false ||
+        !byCondition('http_reqs', 'count>=3000')?.passed ||
+        !byCondition('http_req_failed', 'rate<0.4')?.passed) {
+      throw new Error(`Unexpected threshold results: ${JSON.stringify(thresholdResults)}`);
+    }
+    
+    // Configuration is reconstructed from the VU samples, not assumed
+    const testConfig = mergedData.testConfiguration;
+    if (testConfig.source !== 'observed' || testConfig.totalUsers !== 30 || testConfig.instanceCount !== 3) {
+      throw new Error(`Expected 30 observed VUs across 3 instances, got ${testConfig.totalUsers} across ${testConfig.instanceCount} (${testConfig.source})`);
+    }
+    if (testConfig.phases.map(phase => phase.name).join(',') !== 'Ramp up,Sustain,Ramp down') {
+      throw new Error(`Expected ramp up/sustain/ramp down phases, got ${testConfig.phases.map(phase => phase.name).join(', ')}`);
+    }
+    
+    // The time series accounts for every request and failure, bucket by bucket
+    const timeseries = mergedData.timeseries;
+    const bucketTotal = (field) => timeseries.buckets.reduce((sum, bucket) => sum + bucket[field], 0);
+    if (!timeseries || timeseries.bucketSeconds !== 10 || bucketTotal('requests') !== 3000 || bucketTotal('errors') !== failedRequests) {
+      throw new Error(`Time series doesn't add up: ${JSON.stringify(timeseries && timeseries.buckets.map(bucket => [bucket.requests, bucket.errors]))}`);
+    }
+    if (Math.max(...timeseries.buckets.map(bucket => bucket.vus)) !== 30 ||
+        !timeseries.buckets.some(bucket => bucket.latency && bucket.latency.p95 > 0 && bucket.metrics.iterations)) {
+      throw new Error(`Time series is missing VUs, latency or metrics: ${JSON.stringify(timeseries.buckets[0])}`);
+    }
+    
+    // Each journey step's URL is one endpoint; together they hold every request and failure
+    const endpoints = mergedData.endpoints;
+    const loginSubmit = endpoints.find(endpoint => endpoint.endpoint === 'https://staging.example.com/login_submit');
+    if (endpoints.length !== 4 || endpoints.reduce((sum, endpoint) => sum + endpoint.requests, 0) !== 3000 ||
+        endpoints.reduce((sum, endpoint) => sum + endpoint.errors, 0) !== failedRequests ||
+        loginSubmit?.method !== 'POST' || !(loginSubmit.latency.p95 > 0) || loginSubmit.requests !== 750) {
+      throw new Error(`Unexpected endpoint breakdown: ${JSON.stringify(endpoints.map(endpoint => [endpoint.method, endpoint.endpoint, endpoint.requests, endpoint.errors]))}`);
+    }
+    
+    // Each result file is a generator; all three see the same load, so none stands out
+    const instances = mergedData.instances;
+    if (instances.length !== 3 || instances.reduce((sum, instance) => sum + instance.requests, 0) !== 3000 ||
+        instances.some(instance => instance.divergent) || mergedData.summary.divergentInstances !== 0) {
+      throw new Error(`Unexpected instance breakdown: ${JSON.stringify(instances.map(instance => [instance.instance, instance.requests, instance.divergence]))}`);
+    }
+    // ...while a generator three times slower than the others is flagged
+    const skewed = new BulletproofResultMerger({});
+    ['instance-1', 'instance-2', 'instance-3'].forEach((name, index) => {
+      const entry = skewed.instanceEntry(name);
+      for (let i = 0; i < 100; i++) {
+        entry.requests++;
+        entry.latency.add(index === 2 ? 900 + i : 300 + i);
+      }
+    });
+    const flagged = skewed.buildInstanceBreakdown().filter(instance => instance.divergent);
+    if (flagged.map(instance => instance.instance).join(',') !== 'instance-3' || !/^p95/.test(flagged[0].divergence[0])) {
+      throw new Error(`Expected only instance-3 to diverge, got ${JSON.stringify(flagged)}`);
+    }
+    
+    // The sample generators kept pace and dropped nothing; reaching vus_max is the ramping-vus plan...
+    const health = mergedData.generatorHealth;
+    if (health.verdict !== 'healthy' || !health.trustworthy || mergedData.summary.generatorSaturation !== 'healthy' ||
+        health.signals.map(signal => `${signal.signal}:${signal.level}`).join(',') !== 'pacing:ok,dropped_iterations:ok,vu_pool:ok' ||
+        instances.some(instance => !(instance.pacingDriftP95 < 50))) {
+      throw new Error(`Expected healthy generators, got ${JSON.stringify(health)}`);
+    }
+    // ...while one whose pauses overran by 400 ms and that dropped 5% of iterations is saturated
+    const starved = skewed.instanceEntry('instance-3');
+    for (let i = 0; i < 100; i++) starved.pacing.add(400 + i);
+    const saturation = skewed.analyzeGeneratorHealth({
+      generator_pacing_drift: { count: 100, p95: 480 },
+      iterations: { sum: 950 },
+      dropped_iterations: { sum: 50 }
+    }, { instances: [] }, skewed.buildInstanceBreakdown(), null);
+    const levels = Object.fromEntries(saturation.signals.map(signal => [signal.signal, signal.level]));
+    if (saturation.verdict !== 'saturated' || saturation.trustworthy || levels.pacing !== 'saturated' ||
+        levels.dropped_iterations !== 'saturated' || !saturation.signals[0].detail.includes('instance-3')) {
+      throw new Error(`Expected a saturated generator naming instance-3, got ${JSON.stringify(saturation)}`);
+    }
+    // ...but in an arrival-rate profile a full VU pool is about to drop iterations
+    const fullPool = { instances: [{ instance: 'instance-1', peakVUs: 50, maxVUs: 50 }] };
+    const poolLevel = (profile) => skewed.analyzeGeneratorHealth({ iterations: { sum: 1000 } }, { ...fullPool, profile: profile }, [], null)
+      .signals.find(signal => signal.signal === 'vu_pool').level;
+    if (poolLevel('quick') !== 'ok' || poolLevel('arrival-constant') !== 'warning') {
+      throw new Error(`Expected a full VU pool to be ok for ramping VUs and a warning for arrival rate, got ${poolLevel('quick')} / ${poolLevel('arrival-constant')}`);
+    }
+    if (skewed.analyzeGeneratorHealth({}, {}, [], null).verdict !== 'unknown') {
+      throw new Error('Expected an unknown verdict without generator signals');
+    }
+    
+    // Drift is judged for soak runs only; a ramping profile's load ramp isn't degradation
+    const soak = new BulletproofResultMerger({});
+    for (let minute = 0; minute < 60; minute++) {
+      soak.minuteBuckets.set(minute, { count: 100, sum: 100 * (200 + minute * 10), requests: 100, failed: 0 });
+    }
+    if (soak.analyzeDrift() !== null || mergedData.drift !== null) {
+      throw new Error('Expected no drift analysis outside the soak profile');
+    }
+    soak.profiles.add('soak');
+    if (soak.analyzeDrift()?.verdict !== 'degrading') {
+      throw new Error(`Expected a soak run with rising latency to degrade, got ${JSON.stringify(soak.analyzeDrift())}`);
+    }
+    
+    // A breakpoint run breaks where the SLO was first crossed, and only if an abortOnFail threshold failed
+    const ramp = new BulletproofResultMerger({});
+    ramp.profiles.add('breakpoint');
+    ramp.lastVus = { time: Date.parse('2024-01-01T01:00:00Z'), value: 3100 };
+    const slo = { p95: 8000, errorRate: 0.1 };
+    const rampSeries = {
+      bucketSeconds: 10,
+      buckets: [
+        { start: '2024-01-01T00:10:00.000Z', vus: 1000, requests: 100, errorRate: 0, latency: { p95: 2000 } },
+        { start: '2024-01-01T00:40:00.000Z', vus: 2500, requests: 100, errorRate: 12, latency: { p95: 7000 } },
+        { start: '2024-01-01T00:50:00.000Z', vus: 3000, requests: 100, errorRate: 30, latency: { p95: 9000 } }
+      ]
+    };
+    const held = ramp.analyzeBreakpoint({ vus: { max: 3100 } }, [
+      { name: 'http_req_failed', condition: 'rate<0.1', passed: true, abortOnFail: true }
+    ], slo, rampSeries);
+    const broke = ramp.analyzeBreakpoint({ vus: { max: 3100 } }, [
+      { name: 'http_req_failed', condition: 'rate<0.1', passed: false, abortOnFail: true },
+      { name: 'step_duration_dashboard', condition: 'p(95)<8000', passed: false, abortOnFail: false }
+    ], slo, rampSeries);
+    if (held.broke || held.brokeAtVUs !== null || held.maxVUs !== 3100) {
+      throw new Error(`Expected a breakpoint run with passing thresholds not to break, got ${JSON.stringify(held)}`);
+    }
+    if (!broke.broke || broke.brokeAtVUs !== 2500 || broke.brokeAt !== '2024-01-01T00:40:00.000Z' ||
+        broke.failedThresholds.join(',') !== 'http_req_failed rate<0.1') {
+      throw new Error(`Expected the breakpoint at 2500 VUs from the failed error-rate threshold, got ${JSON.stringify(broke)}`);
+    }
+    
+    // Test 2: Parallel merge of line-aligned shards matches the sequential merge
+    console.log('\n🧪 Test 2: Testing parallel merge...');
+    const parallelFile = path.join(testDir, 'combined-results-parallel.json');
+    await mergeLargeResults(testFiles, parallelFile, {
+      thresholds: {
+        'http_req_duration{step:login_submit}': ['p(95)<400', 'max>10000'],
+        'http_reqs': ['count>=3000']
+      },
+      workers: 2,
+      shardBytes: 128 * 1024
+    });
+    const parallelData = JSON.parse(fs.readFileSync(parallelFile, 'utf8'));
+    const comparable = (data) => JSON.stringify({
+      requests: data.summary.totalRequests,
+      errors: data.summary.totalErrors,
+      p95: data.summary.p95ResponseTime,
+      users: data.summary.distinctUsers,
+      lines: [data.metadata.totalLines, data.metadata.validLines, data.metadata.processedFiles],
+      byStatus: data.errors.byStatus,
+      thresholds: data.performance.thresholdResults,
+      steps: data.performance.steps.map(step => [step.step, step.requests, step.p95, step.max]),
+      configuration: [data.testConfiguration.totalUsers, data.testConfiguration.instanceCount, data.testConfiguration.phases],
+      instances: data.instances.map(instance => [instance.requests, instance.errors, instance.peakVUs, instance.latency.p95]),
+      endpoints: data.endpoints.map(endpoint => [endpoint.method, endpoint.endpoint, endpoint.requests, endpoint.errors, endpoint.latency.p95]),
+      timeseries: data.timeseries.buckets.map(bucket => [bucket.requests, bucket.errors, bucket.vus, bucket.latency && bucket.latency.p95]),
+      generatorHealth: data.generatorHealth
+    });
+    if (comparable(parallelData) !== comparable(mergedData)) {
+      throw new Error(`Parallel merge differs from sequential:\n${comparable(parallelData)}\n${comparable(mergedData)}`);
+    }
+    console.log('✅ Parallel merge test passed!');
+    
+    // Test 3: gzip and brotli inputs (one without its extension) merge like the plain files
+    console.log('\n🧪 Test 3: Testing compressed input...');
+    const compressedFiles = [
+      path.join(testDir, 'test-1.json.gz'),
+      path.join(testDir, 'test-2-gzip-no-extension.json'),
+      path.join(testDir, 'test-3.json.br')
+    ];
+    fs.writeFileSync(compressedFiles[0], zlib.gzipSync(fs.readFileSync(testFiles[0])));
+    fs.writeFileSync(compressedFiles[1], zlib.gzipSync(fs.readFileSync(testFiles[1])));
+    fs.writeFileSync(compressedFiles[2], zlib.brotliCompressSync(fs.readFileSync(testFiles[2])));
+    const compressedFile = path.join(testDir, 'combined-results-compressed.json');
+    await mergeLargeResults(compressedFiles, compressedFile, {
+      thresholds: {
+        'http_req_duration{step:login_submit}': ['p(95)<400', 'max>10000'],
+        'http_reqs': ['count>=3000']
+      },
+      workers: 2
+    });
+    const compressedData = JSON.parse(fs.readFileSync(compressedFile, 'utf8'));
+    if (comparable(compressedData) !== comparable(mergedData)) {
+      throw new Error(`Compressed merge differs from plain:\n${comparable(compressedData)}\n${comparable(mergedData)}`);
+    }
+    console.log('✅ Compressed input test passed!');
+    
+    // Test 4: k6 CSV output merges exactly; a summary export merges as approximate
+    console.log('\n🧪 Test 4: Testing CSV and summary inputs...');
+    const csvFile = path.join(testDir, 'test-1.csv');
+    fs.writeFileSync(csvFile, toK6Csv(sampleData1));
+    const csvMergedFile = path.join(testDir, 'combined-results-csv.json');
+    await mergeLargeResults([csvFile, testFiles[1], testFiles[2]], csvMergedFile, {
+      thresholds: {
+        'http_req_duration{step:login_submit}': ['p(95)<400', 'max>10000'],
+        'http_reqs': ['count>=3000']
+      }
+    });
+    const csvData = JSON.parse(fs.readFileSync(csvMergedFile, 'utf8'));
+    // Same points; the CSV header is one extra line read
+    csvData.metadata.totalLines--;
+    if (comparable(csvData) !== comparable(mergedData) || csvData.metadata.approximate) {
+      throw new Error(`CSV merge differs from JSON:\n${comparable(csvData)}\n${comparable(mergedData)}`);
+    }
+    
+    const summaryFile = path.join(testDir, 'test-summary-export.json');
+    fs.writeFileSync(summaryFile, JSON.stringify(createSampleHandleSummary(), null, 2));
+    const summaryMergedFile = path.join(testDir, 'combined-results-summary.json');
+    await mergeLargeResults([testFiles[0], testFiles[1], summaryFile], summaryMergedFile, {
+      thresholds: { 'http_req_duration{step:login_submit}': ['p(95)<400'] }
+    });
+    const summaryData = JSON.parse(fs.readFileSync(summaryMergedFile, 'utf8'));
+    const expectedRequests = 1000 + 1200 + 800;
+    if (summaryData.summary.totalRequests !== expectedRequests ||
+        !summaryData.metadata.approximate ||
+        summaryData.metadata.inputs.map(input => input.format).join(',') !== 'k6-json,k6-json,k6-summary' ||
+        !summaryData.metrics.http_req_duration.approximate ||
+        summaryData.metrics.http_req_duration.max !== Math.max(350, mergedData.metrics.http_req_duration.max) ||
+        summaryData.checks.summary.totalPassed !== 790 ||
+        !summaryData.performance.thresholdResults.find(result => result.name === 'http_req_duration{step:login_submit}')?.approximate) {
+      throw new Error(`Unexpected summary-input merge: ${JSON.stringify(summaryData.metadata)} ${summaryData.summary.totalRequests} requests`);
+    }
+    const summaryInstance = summaryData.instances.find(instance => instance.instance === 'test-summary-export.json');
+    if (!summaryInstance?.approximate || summaryInstance.requests !== 800 || summaryInstance.errors !== 80) {
+      throw new Error(`Expected the summary as an approximate instance with 800 requests, got ${JSON.stringify(summaryInstance)}`);
+    }
+    if (summaryData.errors.byType.find(error => error.type === 'unitemized')?.count !== 80) {
+      throw new Error(`Expected 80 unitemized failures from the summary, got ${JSON.stringify(summaryData.errors.byType)}`);
+    }
+    console.log('✅ CSV and summary input test passed!');
+    
+    // Test 5: Percentile sketch stays within its documented ±1% and merges exactly
+    console.log('\n🧪 Test 5: Testing percentile sketch...');
+    const whole = new QuantileSketch();
+    const halves = [new QuantileSketch(), new QuantileSketch()];
+    for (let value = 1; value <= 100000; value++) {
+      whole.add(value);
+      halves[value % 2].add(value);
+    }
+    const merged = halves[0].merge(halves[1]);
+    for (const q of [0.5, 0.9, 0.95, 0.99]) {
+      const exact = Math.floor(q * 100000) + 1;
+      if (Math.abs(whole.quantile(q) - exact) > exact * 0.01 || merged.quantile(q) !== whole.quantile(q)) {
+        throw new Error(`Sketch p${q * 100}: ${whole.quantile(q)} (merged ${merged.quantile(q)}), exact ${exact}`);
+      }
+    }
+    console.log('✅ Sketch test passed!');
+    
+    // Test 6: Summarize script
+    console.log('\n🧪 Test 6: Testing summarize script...');
     const htmlFile = path.join(testDir, 'test-summary.html');
     const summaryResult = await generateSummary(mergedFile, htmlFile);
     
     console.log('✅ Summarize test passed!');
     console.log(`📄 HTML generated: ${summaryResult.outputFile}`);
     
-    // Test 3: Check file sizes
-    console.log('\n🧪 Test 3: Checking generated files...');
+    // Test 7: Check file sizes
+    console.log('\n🧪 Test 7: Checking generated files...');
     const mergedStats = fs.statSync(mergedFile);
     const htmlStats = fs.statSync(htmlFile);
     
     console.log(`📊 Merged JSON: ${(mergedStats.size / 1024).toFixed(2)} KB`);
     console.log(`📄 HTML Summary: ${(htmlStats.size / 1024).toFixed(2)} KB`);
     
-    // Test 4: Verify HTML content
+    // Test 8: Verify HTML content
     const htmlContent = fs.readFileSync(htmlFile, 'utf8');
     if (htmlContent.includes('Load Test Summary Report') && htmlContent.includes('Test Summary')) {
       console.log('✅ HTML content verification passed!');
@@ -72,6 +351,35 @@ async function testReportGeneration() {
       console.log('❌ HTML content verification failed!');
     }
     
+    // Charts are inline SVG: four of them, and nothing loaded from outside
+    const charts = (htmlContent.match(/<svg /g) || []).length;
+    if (charts !== 4 || htmlContent.includes('<script src')) {
+      throw new Error(`Expected 4 inline SVG charts and no external script, got ${charts} charts`);
+    }
+    if ((htmlContent.match(/<table class="sortable">[\s\S]*?<\/table>/) || [''])[0].split('<tr>').length - 2 !== 4) {
+      throw new Error('Expected a sortable per-endpoint table with 4 endpoints');
+    }
+    
+    // Healthy generators get no banner; a saturated run is flagged at the top
+    const saturatedFile = path.join(testDir, 'combined-results-saturated.json');
+    fs.writeFileSync(saturatedFile, JSON.stringify({ ...mergedData, generatorHealth: saturation }));
+    await generateSummary(saturatedFile, path.join(testDir, 'test-summary-saturated.html'));
+    const saturatedHtml = fs.readFileSync(path.join(testDir, 'test-summary-saturated.html'), 'utf8');
+    if (htmlContent.includes('Load generator') || !saturatedHtml.includes('Load generator saturated: results are not trustworthy')) {
+      throw new Error('Expected the saturation banner only on the saturated report');
+    }
+    
+    // A breakpoint run that held reports no breaking point
+    for (const [name, breakpoint, expected] of [['held', held, 'Did not break within the ramp'], ['broke', broke, 'Breaking Point (VUs)']]) {
+      const breakpointFile = path.join(testDir, `combined-results-breakpoint-${name}.json`);
+      fs.writeFileSync(breakpointFile, JSON.stringify({ ...mergedData, breakpoint: breakpoint }));
+      await generateSummary(breakpointFile, path.join(testDir, `test-summary-breakpoint-${name}.html`));
+      const breakpointHtml = fs.readFileSync(path.join(testDir, `test-summary-breakpoint-${name}.html`), 'utf8');
+      if (!breakpointHtml.includes(expected) || (name === 'held') === breakpointHtml.includes('Breaking Point (VUs)')) {
+        throw new Error(`Expected the ${name} breakpoint report to show "${expected}"`);
+      }
+    }
+    
     console.log('\n🎉 All tests passed! Report generation is working correctly.');
     console.log(`📁 Test files created in: ${testDir}/`);
     
@@ -91,42 +399,106 @@ function createSampleK6Data(prefix, requestCount) {
   for (let i = 0; i < requestCount; i++) {
     const timestamp = Date.now() + (i * 1000);
     
-    // HTTP request metric
+    // Requests cycle through the four journey steps; 10% fail
+    const step = ['login_page', 'login_submit', 'dashboard', 'event_search'][i % 4];
+    const failed = Math.random() < 0.1;
+    const tags = {
+      step,
+      method: step === 'login_submit' ? 'POST' : 'GET',
+      name: `https://staging.example.com/${step}`,
+      url: `https://staging.example.com/${step}`,
+      status: failed ? ['500', '502', '0'][i % 3] : step === 'login_submit' ? '302' : '200',
+      expected_response: failed ? 'false' : 'true'
+    };
+    
+    // One request: http_reqs, http_req_duration and http_req_failed with the same time and tags, as k6 writes them
     data.push(JSON.stringify({
       metric: 'http_reqs',
       data: {
         value: 1,
         count: 1,
-        rate: 0.5
+        rate: 0.5,
+        tags
       },
       time: timestamp
     }));
-    
-    // HTTP duration metric
     data.push(JSON.stringify({
       metric: 'http_req_duration',
       data: {
         value: 150 + Math.random() * 200, // 150-350ms
         count: 1,
-        rate: 0.5
+        rate: 0.5,
+        tags
+      },
+      time: timestamp
+    }));
+    data.push(JSON.stringify({
+      metric: 'http_req_failed',
+      data: {
+        value: failed ? 1 : 0,
+        count: 1,
+        rate: 0.05,
+        tags
       },
       time: timestamp
     }));
     
-    // Add some errors (10% error rate)
-    if (Math.random() < 0.1) {
-      data.push(JSON.stringify({
-        metric: 'http_req_failed',
-        data: {
-          value: 1,
-          count: 1,
-          rate: 0.05
-        },
-        time: timestamp
-      }));
-    }
+    data.push(JSON.stringify({
+      metric: `step_duration_${step}`,
+      data: {
+        value: 150 + Math.random() * 200,
+        tags: { step }
+      },
+      time: timestamp
+    }));
+    data.push(JSON.stringify({
+      metric: `step_failed_${step}`,
+      data: {
+        value: Math.random() < 0.1 ? 1 : 0,
+        tags: { step }
+      },
+      time: timestamp
+    }));
+    
+    // Active VUs: ramp to 10 over the first quarter, hold, ramp down over the last quarter
+    const quarter = requestCount / 4;
+    data.push(JSON.stringify({
+      metric: 'vus',
+      data: {
+        value: Math.round(10 * Math.min(1, i / quarter, (requestCount - 1 - i) / quarter))
+      },
+      time: timestamp
+    }));
+    
+    // Think-time pause after the request, a few ms late as on a healthy generator
+    data.push(JSON.stringify({
+      metric: 'generator_pacing_drift',
+      data: {
+        value: Math.random() * 5
+      },
+      time: timestamp
+    }));
+    
+    // Account used by this iteration (5 accounts per sample file)
+    data.push(JSON.stringify({
+      metric: 'user_logins',
+      data: {
+        value: 1,
+        tags: { user: `${prefix}-user-${i % 5}` }
+      },
+      time: timestamp
+    }));
   }
   
+  // ramping-vus allocates the peak stage target up front: vus reaches vus_max
+  data.push(JSON.stringify({
+    metric: 'vus_max',
+    data: {
+      value: 10
+    },
+    time: Date.now()
+  }));
+  
   // Add iteration metrics
   data.push(JSON.stringify({
     metric: 'iterations',
@@ -141,6 +513,48 @@ function createSampleK6Data(prefix, requestCount) {
   return data;
 }
 
+/**
+ * Same points as k6 --out csv would write them (unix-second timestamps, other tags in extra_tags)
+ */
+function toK6Csv(lines) {
+  const columns = ['metric_name', 'timestamp', 'metric_value', 'check', 'error', 'error_code', 'expected_response', 'group', 'method', 'name', 'proto', 'scenario', 'service', 'status', 'subproto', 'tls_version', 'url', 'extra_tags', 'metadata'];
+  const rows = lines.map(line => {
+    const point = JSON.parse(line);
+    const tags = point.data.tags || {};
+    const row = {
+      metric_name: point.metric,
+      timestamp: Math.floor(point.time / 1000),
+      metric_value: point.data.value,
+      extra_tags: Object.entries(tags).filter(([name]) => !columns.includes(name)).map(([name, value]) => `${name}=${value}`).join('&')
+    };
+    columns.forEach(name => { if (tags[name] !== undefined) row[name] = tags[name]; });
+    return columns.map(name => row[name] ?? '').join(',');
+  });
+  return [columns.join(','), ...rows].join('\n');
+}
+
+/**
+ * handleSummary-style end-of-test summary for 800 requests
+ */
+function createSampleHandleSummary() {
+  return {
+    root_group: {
+      name: '', path: '', groups: [],
+      checks: [{ name: 'status is 200', path: '::status is 200', passes: 790, fails: 10 }]
+    },
+    options: { summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'] },
+    state: { testRunDurationMs: 800000 },
+    metrics: {
+      http_reqs: { type: 'counter', contains: 'default', values: { count: 800, rate: 1 } },
+      iterations: { type: 'counter', contains: 'default', values: { count: 800, rate: 1 } },
+      http_req_duration: { type: 'trend', contains: 'time', values: { avg: 250, min: 150, med: 250, max: 350, 'p(90)': 330, 'p(95)': 340 } },
+      'http_req_duration{step:login_submit}': { type: 'trend', contains: 'time', values: { avg: 250, min: 150, med: 250, max: 350, 'p(90)': 330, 'p(95)': 340 } },
+      http_req_failed: { type: 'rate', contains: 'default', values: { rate: 0.1, passes: 80, fails: 720 } },
+      vus: { type: 'gauge', contains: 'default', values: { value: 0, min: 0, max: 10 } }
+    }
+  };
+}
+
 // Run test if called directly
 if (require.main === module) {
   testReportGeneration()